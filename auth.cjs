@@ -0,0 +1,180 @@
+const crypto = require('node:crypto')
+const fs = require('node:fs')
+
+/**
+ * A local store of user accounts, kept as a JSON file of the form:
+ * { "alice": { "salt": "<hex>", "hash": "<hex>" }, ... }
+ *
+ * Entries may be added from the command line:
+ * node auth.cjs add <name> <password> [file]
+ */
+class UserStore {
+    file = null
+    users = new Map() // lower-case name -> { name, salt, hash }
+
+    constructor (file) {
+        this.file = file
+        this.load()
+    }
+
+    load () {
+        let records = {}
+        try {
+            records = JSON.parse(fs.readFileSync(this.file, 'utf8'))
+        } catch (er) {
+            if (er.code !== 'ENOENT')
+                throw er
+            log.err(`User store ${this.file} not found; no users can sign in.`)
+        }
+
+        this.users.clear()
+        for (const [name, record] of Object.entries(records))
+            this.users.set(name.toLowerCase(), { name, ...record })
+
+        return this
+    }
+
+    has (name) {
+        if (typeof name !== 'string')
+            return false
+        return this.users.has(name.toLowerCase())
+    }
+
+    // Return the stored account if the password matches, otherwise null.
+    verify (name, password) {
+        if (typeof password !== 'string' || ! this.has(name))
+            return null
+
+        let record = this.users.get(name.toLowerCase())
+        let expected = Buffer.from(String(record.hash), 'hex')
+        let actual = Buffer.from(hashPassword(password, record.salt).hash,
+            'hex')
+
+        // A corrupt stored hash may not even be the right length.
+        if (expected.length === actual.length
+            && crypto.timingSafeEqual(expected, actual))
+            return record
+        return null
+    }
+
+    add (name, password) {
+        let records = {}
+        for (const r of this.users.values())
+            if (r.name.toLowerCase() !== name.toLowerCase())
+                records[r.name] = { salt: r.salt, hash: r.hash }
+        records[name] = hashPassword(password)
+
+        fs.writeFileSync(this.file, JSON.stringify(records, null, 4) + '\n')
+        return this.load()
+    }
+}
+
+function hashPassword (password, salt) {
+    salt ??= crypto.randomBytes(16).toString('hex')
+    let hash = crypto.scryptSync(password, salt, 32).toString('hex')
+    return { salt, hash }
+}
+
+// Tokens take the form <base64url payload>.<base64url HMAC signature>.
+function signToken (payload, secret) {
+    let body = Buffer.from(JSON.stringify(payload)).toString('base64url')
+    return body + '.' + sign(body, secret)
+}
+
+// Return the payload of a valid, unexpired token, otherwise null.
+function verifyToken (token, secret) {
+    if (typeof token !== 'string')
+        return null
+
+    let [body, signature] = token.split('.')
+    if ( ! body || ! signature )
+        return null
+
+    let expected = Buffer.from(sign(body, secret))
+    let actual = Buffer.from(signature)
+    if (expected.length !== actual.length
+        || ! crypto.timingSafeEqual(expected, actual))
+        return null
+
+    try {
+        let payload = JSON.parse(Buffer.from(body, 'base64url').toString())
+        if (typeof payload.exp === 'number' && payload.exp < Date.now())
+            return null
+        return payload
+    } catch (er) {
+        return null
+    }
+}
+
+function sign (body, secret) {
+    return crypto.createHmac('sha256', secret).update(body).digest('base64url')
+}
+
+// Compare secrets in constant time, whatever their lengths.
+function sameSecret (a, b) {
+    let hash = s => crypto.createHash('sha256').update(String(s)).digest()
+    return crypto.timingSafeEqual(hash(a), hash(b))
+}
+
+// Browsers cannot set headers on a WebSocket or an EventSource, so the
+// token may arrive as a bearer token, a cookie named token,
+// or, as a last resort, in the query string.
+// Browsers send cookies along with requests made by any site's pages,
+// WebSocket upgrades included, so a cookie is only accepted from an
+// allowed origin; see originAllowed().
+function tokenFromRequest (request, allowedOrigins = []) {
+    let header = request.headers.authorization
+    if (header?.startsWith('Bearer '))
+        return header.slice('Bearer '.length)
+
+    for (const pair of request.headers.cookie?.split(';') ?? []) {
+        let [name, ...value] = pair.split('=')
+        if (name.trim() === 'token' && originAllowed(request, allowedOrigins))
+            return decodeURIComponent(value.join('=').trim())
+    }
+
+    let url = new URL(request.url, 'http://localhost')
+    return url.searchParams.get('token')
+}
+
+// Whether a request came from a page served by this host, or by one of
+// the allowedOrigins, e.g. ['https://chat.example.com'].
+// Browsers leave out the Origin header on some requests to the page's
+// own server, such as an EventSource's, but then say so in Sec-Fetch-Site.
+function originAllowed (request, allowedOrigins = []) {
+    let origin = request.headers.origin
+    if ( ! origin )
+        return request.headers['sec-fetch-site'] === 'same-origin'
+
+    if (allowedOrigins.includes(origin))
+        return true
+    try {
+        return new URL(origin).host === request.headers.host
+    } catch (er) {
+        return false
+    }
+}
+
+if (require.main === module) {
+    require('@bprcode/handy')
+    let [command, name, password, file] = process.argv.slice(2)
+    file ??= process.env.AUTH_USERS || 'users.json'
+
+    if (command !== 'add' || ! name || ! password) {
+        log('Usage: node auth.cjs add <name> <password> [file]')
+        process.exit(1)
+    }
+
+    new UserStore(file).add(name, password)
+    log(`Added ${name} to ${file}`, green)
+}
+
+module.exports = {
+    UserStore,
+    hashPassword,
+    signToken,
+    verifyToken,
+    sameSecret,
+    tokenFromRequest,
+    originAllowed
+}
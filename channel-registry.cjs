@@ -0,0 +1,401 @@
+const { ChatChannel } = require('./chat-channel.cjs')
+const { errorReply, successReply } = require('./replies.cjs')
+
+/**
+ * Holds a set of named ChatChannels ("rooms") behind a single relay.
+ *
+ * To its relay, a ChannelRegistry looks like a channel:
+ * it receives every message and routes it to the room(s) the sending
+ * socket has joined.
+ * To its channels, it looks like a relay: their broadcasts and listener
+ * approvals are passed through to the real relay.
+ *
+ * Clients manage their rooms with these requests:
+ * { request: 'join', room }
+ * { request: 'leave', room }
+ * { request: 'listRooms' }
+ *
+ * Any other message may name its destination with a 'room' field;
+ * otherwise it goes to the room the socket joined most recently.
+ *
+ * Rooms other than the default are closed once everyone has left,
+ * unless someone said something there; see vacated().
+ */
+class ChannelRegistry {
+    serverId = -1 // An ID not used by any external connections.
+    relay = null
+    channels = new Map() // lower-case room name -> ChatChannel
+    memberships = new Map() // socketId -> Set of lower-case room names
+    identities = new Map() // socketId -> { name, sid }
+    defaultRoom = process.env.DEFAULT_ROOM || 'Lobby'
+    maxRooms = process.env.MAX_ROOMS || 100
+    maxRoomNameLength = process.env.MAX_ROOM_NAME_LENGTH || 30
+    userStore = null // Shared with each room, to reserve account names.
+    moderation = null // Shared with each room, to enforce roles and bans.
+    webhooks = null // Shared with each room, to send out its messages.
+    // Retention settings for particular rooms, keyed by lower-case name,
+    // e.g. { "lobby": { "maxHistory": 500, "maxHistoryAge": 86400000 } }
+    retentionPolicies = JSON.parse(process.env.RETENTION_POLICIES || '{}')
+    commandDefinitions = [] // Slash commands added to every room
+    plugins = [] // Functions called with every room
+
+    constructor ({
+        relay,
+        defaultRoom,
+        userStore,
+        moderation,
+        webhooks,
+        retentionPolicies
+    } = {}) {
+        if (defaultRoom)
+            this.defaultRoom = defaultRoom
+        if (userStore)
+            this.userStore = userStore
+        if (moderation)
+            this.moderation = moderation
+        if (webhooks)
+            this.webhooks = webhooks
+        if (retentionPolicies)
+            this.retentionPolicies = retentionPolicies
+
+        this.createRoom(this.defaultRoom)
+
+        // May attach relay to registry, or vice versa.
+        if (relay)
+            this.attachRelay(relay)
+    }
+
+    // Channel-side interface, used by the relay:
+    attachRelay (r) {
+        if (this.relay === r)
+            return
+        this.relay = r
+        this.relay?.setChannel?.(this)
+    }
+
+    // Relay-side interface, used by the channels:
+    broadcast (m) {
+        this.relay?.broadcast?.(m)
+    }
+
+    approveListener (socketId, room) {
+        this.relay?.approveListener?.(socketId, room)
+    }
+
+    dismissListener (socketId, room) {
+        this.relay?.dismissListener?.(socketId, room)
+    }
+
+    addressOf (socketId) {
+        return this.relay?.addressOf?.(socketId) ?? null
+    }
+
+    // Close a room which everyone has left, so that rooms created in
+    // passing neither count towards maxRooms nor leave history behind.
+    // Rooms holding anything but the server's own notices are kept.
+    async vacated (room) {
+        if (room === this.getRoom(this.defaultRoom))
+            return
+
+        // Let the room finish announcing the departure first.
+        let queue
+        do {
+            queue = room.queue
+            await queue
+        } while (room.queue !== queue)
+
+        if (this.getRoom(room.name) !== room
+            || room.users.sockets.size > 0
+            || room.lingering.size > 0
+            || room.history.some(r => r.name !== undefined))
+            return
+
+        let key = room.name.toLowerCase()
+        this.channels.delete(key)
+        for (const joined of this.memberships.values())
+            joined.delete(key)
+        room.historyStore.discard()
+        log(`Closed empty room: ${room.name}`, green)
+    }
+
+    disconnect (socketId, code, reason) {
+        this.relay?.disconnect?.(socketId, code, reason)
+    }
+
+    getRoom (name) {
+        if (typeof name !== 'string')
+            return undefined
+        return this.channels.get(name.toLowerCase())
+    }
+
+    createRoom (name) {
+        if (this.getRoom(name))
+            throw new Error(`A room named ${name} already exists.`)
+
+        let c = new ChatChannel({
+            name,
+            relay: this,
+            userStore: this.userStore,
+            moderation: this.moderation,
+            webhooks: this.webhooks,
+            retention: this.retentionPolicies[name.toLowerCase()]
+        })
+        for (const definition of this.commandDefinitions)
+            c.commands.define(...definition)
+        for (const plugin of this.plugins)
+            plugin(c)
+
+        this.channels.set(name.toLowerCase(), c)
+        log(`Created room: ${name}`, green)
+        return c
+    }
+
+    // Add a slash command to every room, present and future.
+    // Takes the same arguments as SlashCommands.define().
+    defineCommand (...definition) {
+        this.commandDefinitions.push(definition)
+        for (const c of this.channels.values())
+            c.commands.define(...definition)
+        return this
+    }
+
+    // Call plugin(channel) for every room, present and future, e.g. to
+    // add stages to its messageProcessor around the named ones.
+    addPlugin (plugin) {
+        this.plugins.push(plugin)
+        for (const c of this.channels.values())
+            plugin(c)
+        return this
+    }
+
+    // Resolve once every message received so far has been processed,
+    // and so recorded, by every room, including any messages which
+    // processing gave rise to.
+    async drain () {
+        let queues = () => [...this.channels.values()].map(c => c.queue)
+        let waited
+        do {
+            waited = queues()
+            await Promise.all(waited)
+        } while (queues().some((q, i) => q !== waited[i]))
+
+        for (const c of this.channels.values())
+            c.historyStore.flush()
+    }
+
+    listRooms () {
+        return [...this.channels.values()].map(c => ({
+            name: c.name,
+            users: c.users.sessions.size
+        }))
+    }
+
+    // Return the rooms a socket has joined, most recent last.
+    roomsOf (socketId) {
+        let joined = this.memberships.get(socketId)
+        if ( ! joined )
+            return []
+        return [...joined].map(key => this.channels.get(key))
+    }
+
+    // Replies are sent directly to the requester, without involving any room.
+    // See replies.cjs for their format.
+    respond (m, fields) {
+        let reply = successReply(m, fields)
+        if (reply)
+            this.broadcast(reply)
+    }
+
+    fail (m, code, message) {
+        this.broadcast(errorReply(m, code, message))
+    }
+
+    // Route incoming messages to the appropriate room(s).
+    // Returns a promise which resolves once every room involved has
+    // processed the message, and any messages it led to, so that
+    // drain() may wait for them; see ChatChannel.receive().
+    receive (message) {
+        if (typeof message !== 'object')
+            message = { text: String(message) }
+
+        message._sender ??= this.serverId
+
+        // Internal announcements go to every room unless one is named.
+        if (message._sender === this.serverId) {
+            let targets = 'room' in message
+                ? [this.getRoom(message.room)]
+                : [...this.channels.values()]
+
+            return Promise.all(targets.map(c => c?.receive({ ...message })))
+        }
+
+        switch (message._event) {
+            case 'connect':
+                return Promise.resolve()
+            case 'disconnect':
+                return this.socketClosed(message)
+            case 'idle':
+            case 'active':
+                return Promise.all(this.roomsOf(message._sender)
+                    .map(room => room.receive({ ...message })))
+        }
+
+        switch (message.request) {
+            case 'identify':
+                return this.identify(message)
+            case 'join':
+                return this.join(message)
+            case 'leave':
+                return this.leave(message)
+            case 'listRooms': {
+                let rooms = { _set: 'rooms', value: this.listRooms() }
+                this.broadcast(successReply(message, rooms)
+                    ?? { to: message._sender, ...rooms })
+                return Promise.resolve()
+            }
+        }
+
+        let room = this.resolveRoom(message)
+        if ( ! room )
+            return Promise.resolve()
+        return room.receive(message)
+    }
+
+    // Find the joined room a message is addressed to, or notify the sender.
+    resolveRoom (m) {
+        let joined = this.memberships.get(m._sender)
+
+        if ( ! joined?.size ) {
+            this.fail(m, 'NO_ROOMS')
+            return null
+        }
+
+        if ('room' in m) {
+            let key = String(m.room).toLowerCase()
+            if ( ! joined.has(key) ) {
+                this.fail(m, 'NOT_IN_ROOM',
+                    `You are not in a room named ${m.room}.`)
+                return null
+            }
+            return this.channels.get(key)
+        }
+
+        return this.channels.get([...joined].at(-1))
+    }
+
+    // Remember who the socket claims to be, then join the default room,
+    // along with any rooms still holding this session from before
+    // a reconnection.
+    identify (m) {
+        // Allow replies to the socket even before it joins a room.
+        this.approveListener(m._sender)
+
+        this.identities.set(m._sender, {
+            name: typeof m.name === 'string' ? m.name : '',
+            sid: m.sid
+        })
+
+        let resumable = [...this.channels.values()].filter(c =>
+            c.lingering.has(m.sid) && c !== this.getRoom(this.defaultRoom))
+
+        let joins = [this.join({ ...m, room: this.defaultRoom })]
+
+        // A single lastSeen serial only describes the default room.
+        for (const c of resumable)
+            joins.push(this.join({
+                _sender: m._sender,
+                _auth: m._auth,
+                room: c.name,
+                lastSeen: typeof m.lastSeen === 'object'
+                    ? m.lastSeen
+                    : undefined
+            }))
+
+        return Promise.all(joins)
+    }
+
+    join (m) {
+        let identity = this.identities.get(m._sender)
+        if ( ! identity ) {
+            this.fail(m, 'NOT_IDENTIFIED',
+                'Please identify before joining a room.')
+            return Promise.resolve()
+        }
+
+        if (typeof m.room !== 'string' || m.room.trim() === '') {
+            this.fail(m, 'ROOM_REQUIRED', 'Please specify a room to join.')
+            return Promise.resolve()
+        }
+
+        let name = m.room.trim().slice(0, this.maxRoomNameLength)
+        let room = this.getRoom(name)
+
+        if ( ! room ) {
+            if (this.channels.size >= this.maxRooms) {
+                this.fail(m, 'TOO_MANY_ROOMS')
+                return Promise.resolve()
+            }
+            room = this.createRoom(name)
+        }
+
+        let key = room.name.toLowerCase()
+        let joined = this.memberships.get(m._sender) ?? new Set()
+        this.memberships.set(m._sender, joined)
+
+        if (joined.has(key)) {
+            // Re-joining a room makes it the current one again.
+            joined.delete(key)
+            joined.add(key)
+            this.fail(m, 'ALREADY_IN_ROOM', `You are already in ${room.name}.`)
+            return Promise.resolve()
+        }
+
+        joined.add(key)
+        return room.receive({
+            _sender: m._sender,
+            _event: 'transmit',
+            request: 'identify',
+            name: identity.name,
+            sid: identity.sid,
+            _auth: m._auth,
+            requestId: m.requestId,
+            lastSeen: lastSeenIn(m.lastSeen, room.name)
+        })
+    }
+
+    leave (m) {
+        let room = this.getRoom(m.room)
+        let joined = this.memberships.get(m._sender)
+        let key = room?.name.toLowerCase()
+
+        if ( ! room || ! joined?.has(key) ) {
+            this.fail(m, 'NOT_IN_ROOM',
+                `You are not in a room named ${m.room}.`)
+            return Promise.resolve()
+        }
+
+        joined.delete(key)
+        let left = room.receive({ _sender: m._sender, _event: 'leave' })
+        this.respond(m, { room: room.name })
+        return left
+    }
+
+    // Forward a closed socket's disconnection to every room it had joined.
+    socketClosed (m) {
+        let closed = Promise.all(this.roomsOf(m._sender)
+            .map(room => room.receive({ ...m })))
+
+        this.memberships.delete(m._sender)
+        this.identities.delete(m._sender)
+        return closed
+    }
+}
+
+// lastSeen may be a single serial, or an object of serials keyed by room name.
+function lastSeenIn (lastSeen, roomName) {
+    if (typeof lastSeen === 'object')
+        return lastSeen?.[roomName]
+    return lastSeen
+}
+
+module.exports = { ChannelRegistry }
@@ -1,4 +1,10 @@
+const crypto = require('node:crypto')
 const { Conveyor } = require('./conveyor.cjs')
+const { createHistoryStore } = require('./history-store.cjs')
+const { SearchIndex } = require('./search-index.cjs')
+const { FloodGuard } = require('./rate-limiter.cjs')
+const { createChatCommands } = require('./slash-commands.cjs')
+const { errorCodes, errorReply, successReply } = require('./replies.cjs')
 
 /** Channels and Relays communicate by means of this interface:
  * relay.broadcast([object|primitive] message)
@@ -11,7 +17,15 @@ const { Conveyor } = require('./conveyor.cjs')
  * 
  * a ChatChannel must grant permission before each socket is allowed
  * to receive messages.
- * This is done with WebSocketRelay.approveListener(socketId)
+ * This is done with WebSocketRelay.approveListener(socketId, room)
+ * and revoked with WebSocketRelay.dismissListener(socketId, room).
+ * 
+ * Broadcasts from a channel are tagged with the channel's name in the
+ * 'room' field, so that relays only deliver them to sockets approved
+ * for that room.
+ *
+ * Once its last user has gone, a channel calls relay.vacated(channel),
+ * if the relay has it, e.g. so that a ChannelRegistry may close the room.
 */
 class ChatChannel {
     name = 'Default Channel'
@@ -23,21 +37,74 @@ class ChatChannel {
     }
     relay = null
     messageProcessor = null
+    queue = Promise.resolve() // Settles when the last message is processed
+    queueLength = 0 // Messages received but not yet processed
+    maxQueue = process.env.MAX_CHANNEL_QUEUE || 1000
     lastSerial = 0 // Used to enumerate successive broadcasts
     lastTimestamp = 0 // Used to distinguish low-precision timestamps
-    maxHistory = process.env.MAX_HISTORY || 50
+    // Retention policy; see enforceRetention().
+    maxHistory = process.env.MAX_HISTORY || 50 // Messages
+    maxHistoryAge = process.env.MAX_HISTORY_AGE || Infinity // ms
+    maxHistoryBytes = process.env.MAX_HISTORY_BYTES || Infinity // As JSON
+    historyTrimRatio = process.env.HISTORY_TRIM_RATIO || 0.7
+    maxHistoryPage = process.env.MAX_HISTORY_PAGE || 100
+    maxSearchResults = process.env.MAX_SEARCH_RESULTS || 100 // Per page
     maxNameLength = process.env.MAX_NAME_LENGTH || 30
-    history = []
-
-
-    constructor ({ name, relay }) {
+    maxReactions = process.env.MAX_REACTIONS || 20 // Distinct, per message
+    sessionGracePeriod = process.env.SESSION_GRACE_PERIOD ?? 30000
+    lingering = new Map() // sessionId -> { timeout, lastSerial }
+    idleSockets = new Set()
+    typing = new Map() // ChatUser -> timeout, ending its typing indicator
+    typingTimeout = process.env.TYPING_TIMEOUT || 6000
+    maxStatusLength = process.env.MAX_STATUS_LENGTH || 100
+    historyStore = null
+    searchIndex = new SearchIndex()
+    userStore = null // Holds the names reserved for authenticated users.
+    moderation = null // Shared roles, bans and mutes; see moderation.cjs
+    webhooks = null // Told of each remembered message; see webhooks.cjs
+    commands = null
+
+
+    constructor ({
+        name,
+        relay,
+        historyStore,
+        userStore,
+        moderation,
+        webhooks,
+        retention
+    }) {
         if (name)
             this.name = name
 
+        if (userStore)
+            this.userStore = userStore
+        if (moderation)
+            this.moderation = moderation
+        if (webhooks)
+            this.webhooks = webhooks
+        // Any of maxHistory, maxHistoryAge, maxHistoryBytes
+        // and historyTrimRatio, overriding the defaults for this channel.
+        for (const key of retentionKeys)
+            if (retention?.[key] !== undefined)
+                this[key] = retention[key]
+
+        // Restore any history persisted by a previous run.
+        this.historyStore = historyStore ?? createHistoryStore(this.name)
+        this.historyStore.load()
+        this.lastSerial = this.historyStore.lastSerial
+        this.lastTimestamp = this.historyStore.lastTimestamp
+        for (const r of this.historyStore.retrieve())
+            this.searchIndex.add(r)
+        this.enforceRetention()
+
         // May attach relay to channel, or vice versa.
         if (relay)
             this.attachRelay(relay)
 
+        // commands interprets '/command args' text; see slash-commands.cjs
+        this.commands = createChatCommands(this)
+
         // messageProcessor handles message routing and logic
         initializeChatProcessor(this)
     }
@@ -49,18 +116,26 @@ class ChatChannel {
         this.relay?.setChannel?.(this)
     }
 
+    // Accepts either a set of properties or an existing ChatUser.
     createUser (properties) {
-        if(this.users.lowerCaseNames.has(properties.name.toLowerCase()))
-            throw new Error(`A user named ${properties.name} already exists.`)
-        if(this.users.sessions.has(properties.sessionId))
-            throw new Error(`${properties.sessionId} is already in use.`)
-        if(this.users.sockets.has(properties.socketId))
-            throw new Error(`Socket ${properties.socketId} already assigned.`)
-
-        let u = new ChatUser(properties)
+        let u = properties instanceof ChatUser
+            ? properties
+            : new ChatUser(properties)
+
+        if(this.users.lowerCaseNames.has(u.lowerCaseName))
+            throw new Error(`A user named ${u.name} already exists.`)
+        if(this.users.sessions.has(u.sessionId))
+            throw new Error(`${u.sessionId} is already in use.`)
+        for (const id of u.socketIds)
+            if(this.users.sockets.has(id))
+                throw new Error(`Socket ${id} already assigned.`)
+
         this.users.lowerCaseNames.set(u.lowerCaseName, u)
         this.users.sessions.set(u.sessionId, u)
-        this.users.sockets.set(u.socketId, u)
+        for (const id of u.socketIds)
+            this.users.sockets.set(id, u)
+
+        return u
     }
 
     getUser (trait) {
@@ -80,7 +155,8 @@ class ChatChannel {
         if (u) {
             this.users.lowerCaseNames.delete(u.lowerCaseName)
             this.users.sessions.delete(u.sessionId)
-            this.users.sockets.delete(u.socketId)
+            for (const id of u.socketIds)
+                this.users.sockets.delete(id)
             return true
         }
 
@@ -94,7 +170,7 @@ class ChatChannel {
             + `${this.users.sockets.size} socket IDs`, dim)
         log(`socket`.padEnd(8) + `name`.padEnd(20) + `session`, dim)
         for (const u of this.users.sessions.values())
-        log(`${u.socketId}`.padEnd(8),
+        log(`${[...u.socketIds].join(',')}`.padEnd(8),
             `${u.name}`.padEnd(20),
             `${u.sessionId}`)
     }
@@ -113,22 +189,374 @@ class ChatChannel {
         return false
     }
 
+    // Associate another socket with an existing user.
+    addSocket (u, socketId) {
+        if (this.users.sockets.has(socketId))
+            throw new Error(`Socket ${socketId} already assigned.`)
+
+        u.socketIds.add(socketId)
+        this.users.sockets.set(socketId, u)
+        this.refreshStatus(u)
+    }
+
+    // Dissociate a socket from its user, returning that user, if any.
+    removeSocket (socketId) {
+        this.idleSockets.delete(socketId)
+        let u = this.users.sockets.get(socketId)
+        if (u) {
+            u.socketIds.delete(socketId)
+            this.users.sockets.delete(socketId)
+            if (u.socketIds.size === 0)
+                this.setTyping(u, false)
+        }
+        return u
+    }
+
+    // Keep the identity of a user with no remaining sockets reserved
+    // for a grace period, in case the same session reconnects.
+    holdSession (u) {
+        this.lingering.set(u.sessionId, {
+            lastSerial: this.lastSerial,
+            timeout: setTimeout(() => {
+                this.releaseSession(u.sessionId)
+            }, this.sessionGracePeriod)
+        })
+        log(`Holding session ${u.sessionId} for ${u.name}`, dim)
+    }
+
+    // Give up on a held session and announce the user's departure.
+    releaseSession (sessionId) {
+        this.lingering.delete(sessionId)
+        let u = this.getUser({ sessionId })
+        if ( ! u )
+            return
+
+        this.deleteUser(u)
+        this.receive({
+            text: `${u.name} disconnected.`,
+            _remember: true
+        })
+        log('Server processed disconnect for ' + u.name, dim)
+        this.broadcastUserList()
+        this.noteVacancy()
+    }
+
+    // Tell the relay if no one is left, not even a held session.
+    noteVacancy () {
+        if (this.users.sockets.size === 0 && this.lingering.size === 0)
+            this.relay?.vacated?.(this)
+    }
+
+    // Reattach a held session to a new socket.
+    // Returns the user and the last serial broadcast before it disconnected.
+    resumeSession (sessionId, socketId) {
+        let held = this.lingering.get(sessionId)
+        clearTimeout(held.timeout)
+        this.lingering.delete(sessionId)
+        this.addSocket(this.getUser({ sessionId }), socketId)
+        log(`Resumed session ${sessionId} on socket ${socketId}`, dim)
+        return {
+            user: this.getUser({ sessionId }),
+            lastSerial: held.lastSerial
+        }
+    }
+
+    // Announce a user's status whenever it changes.
+    // Users who have declared themselves away remain so; otherwise,
+    // users are idle once all of their sockets are idle.
+    // force announces the status even if it is unchanged,
+    // e.g. when its text has changed.
+    refreshStatus (u, force = false) {
+        let idle = u.socketIds.size > 0
+            && [...u.socketIds].every(id => this.idleSockets.has(id))
+        let status = u.away ? 'away' : idle ? 'idle' : 'online'
+
+        if (u.status !== status || force) {
+            u.status = status
+            this.receive({
+                _set: 'status',
+                value: describeStatus(u),
+                _ephemeral: true
+            })
+        }
+    }
+
+    // Start or stop a user's typing indicator.
+    // Indicators stop by themselves unless renewed within typingTimeout.
+    setTyping (u, typing) {
+        let wasTyping = this.typing.has(u)
+        clearTimeout(this.typing.get(u))
+        this.typing.delete(u)
+
+        if (typing)
+            this.typing.set(u, setTimeout(() => {
+                this.setTyping(u, false)
+            }, this.typingTimeout))
+
+        if (typing !== wasTyping)
+            this.receive({
+                _set: 'typing',
+                value: { name: u.name, typing },
+                _ephemeral: true
+            })
+    }
+
+    // Remove a user immediately, without a grace period,
+    // and close all of its sockets.
+    expel (u, code, reason) {
+        let held = this.lingering.get(u.sessionId)
+        if (held) {
+            clearTimeout(held.timeout)
+            this.lingering.delete(u.sessionId)
+        }
+
+        this.setTyping(u, false)
+        this.deleteUser(u)
+        for (const id of u.socketIds)
+            this.relay?.disconnect?.(id, code, reason)
+    }
+
+    // Whether the identify request m, which names u's session id,
+    // may reclaim u's session. Sessions begun by an account belong to
+    // that account alone. Anonymous sessions belong to whoever presents
+    // their id, which is therefore a bearer secret.
+    ownsSession (m, u) {
+        if (u.account != null || m._auth)
+            return u.account?.toLowerCase() === m._auth?.name?.toLowerCase()
+        return true
+    }
+
+    // Tell the sender of m that its request succeeded,
+    // if it asked to be told by including a requestId.
+    respond (m, fields) {
+        let reply = successReply(m, fields)
+        if (reply)
+            this.receive(reply)
+    }
+
+    // Tell the sender of m that its request failed, and why.
+    // code must be one of the errorCodes in replies.cjs.
+    fail (m, code, message) {
+        this.receive(errorReply(m, code, message))
+    }
+
+    // Names in the user store belong to their authenticated owners.
+    // m._auth, if present, is the requester's authenticated identity.
+    isReserved (name, m) {
+        if ( ! this.userStore?.has(name) )
+            return false
+        return m._auth?.name.toLowerCase() !== name.toLowerCase()
+    }
+
+    // value lists the users' names; users describes each user.
     broadcastUserList () {
+        let users = [...this.users.sessions.values()]
         this.receive({
             _set: 'users',
-            value: [...this.users.sessions.values()].map(u => u.name),
+            value: users.map(u => u.name),
+            users: users.map(u => ({
+                ...describeStatus(u),
+                role: u.role,
+                joined: u.joined
+            }))
         })
         this.logUsers()
     }
 
+    get history () {
+        return this.historyStore.records
+    }
+
     // Return an array of historical messages
     // whose serial numbers fall in a specified range.
+    // Edited messages appear in their current version, and deleted
+    // messages as tombstones marked with _deleted.
+    // Messages with replies or reactions are summarized with
+    // _thread: { replies, last } and _reactions: { emoji: count }.
     retrieve (first = 0, last = this.lastSerial) {
-        return this.history.filter(h =>
-            h._serial >= first && h._serial <= last)
+        let threads = this.threads()
+        return this.historyStore.retrieve(first, last)
+            .map(r => publicRecord(r, threads))
+    }
+
+    // Return one page of history, as { history, more, trimmed? }.
+    // With before, the page holds the latest messages preceding that
+    // serial; with after, the earliest messages following it; otherwise,
+    // the latest messages from first to last. Either way, at most limit.
+    // more tells whether the range holds messages beyond this page.
+    // trimmed: { oldest } is present when a range starting from an explicit
+    // first or after reaches back past messages already discarded,
+    // giving the oldest serial still held.
+    page ({
+        first,
+        last = this.lastSerial,
+        before,
+        after,
+        limit = this.maxHistoryPage
+    } = {}) {
+        this.enforceRetention()
+
+        let explicit = first !== undefined || after !== undefined
+        first ??= 0
+        limit = Math.min(limit, this.maxHistoryPage)
+        if (after !== undefined)
+            first = Math.max(first, after + 1)
+        if (before !== undefined)
+            last = Math.min(last, before - 1)
+
+        let records = this.retrieve(first, last)
+        let more = records.length > limit
+        let page = {
+            history: after !== undefined
+                ? records.slice(0, limit)
+                : records.slice(records.length - limit),
+            more
+        }
+
+        // A page reaches the start of its range if it was read forward,
+        // or read backward to the end.
+        let oldest = this.historyStore.retrieve()[0]?._serial
+            ?? this.lastSerial + 1
+        let start = Math.max(first, 1)
+        if (explicit && (after !== undefined || ! more)
+                && start < oldest && start <= last)
+            page.trimmed = { oldest }
+
+        return page
+    }
+
+    // Discard messages older than maxHistoryAge. Then, whenever more than
+    // maxHistory messages, or maxHistoryBytes of them, are held, discard
+    // the oldest until only historyTrimRatio of that limit remains,
+    // so that trimming need not happen with every new message.
+    enforceRetention () {
+        let records = this.historyStore.retrieve()
+        let cutoff = Date.now() - this.maxHistoryAge
+        let kept = records.findIndex(r => ! (r._time < cutoff))
+        let keep = kept === -1 ? 0 : records.length - kept
+
+        if (keep > this.maxHistory)
+            keep = Math.floor(this.maxHistory * this.historyTrimRatio)
+
+        if (Number.isFinite(Number(this.maxHistoryBytes))) {
+            let sizes = records.slice(records.length - keep)
+                .map(r => Buffer.byteLength(JSON.stringify(r)))
+            let bytes = sizes.reduce((sum, size) => sum + size, 0)
+            if (bytes > this.maxHistoryBytes) {
+                let target = this.maxHistoryBytes * this.historyTrimRatio
+                for (const size of sizes) {
+                    if (bytes <= target)
+                        break
+                    bytes -= size
+                    keep--
+                }
+            }
+        }
+
+        if (keep >= records.length)
+            return
+
+        this.historyStore.trim(keep)
+        this.searchIndex.removeBefore(
+            this.historyStore.retrieve()[0]?._serial ?? Infinity)
+        log(`Trimmed history of ${this.name} to ${keep} message(s)`, pink)
+    }
+
+    // Search remembered messages; see SearchIndex.search().
+    // Returns { results, total, next }, with results newest first.
+    search (query) {
+        this.enforceRetention()
+        let { serials, total, next } = this.searchIndex.search(query)
+        let results = []
+        if (serials.length) {
+            let records = new Map(this.retrieve(serials.at(-1), serials[0])
+                .map(r => [r._serial, r]))
+            results = serials.map(s => records.get(s))
+        }
+        return { results, total, next }
+    }
+
+    // Find a remembered message which has not been deleted.
+    findRecord (serial) {
+        if ( ! Number.isInteger(serial) )
+            return null
+        let record = this.historyStore.retrieve(serial, serial)[0]
+        return record && ! record._deleted ? record : null
+    }
+
+    // Summarize the replies to each message still in the history,
+    // as a Map of serial -> { replies, last }.
+    threads () {
+        let threads = new Map()
+        for (const r of this.historyStore.retrieve()) {
+            if (r.parent === undefined || r._deleted)
+                continue
+            let thread = threads.get(r.parent) ?? { replies: 0, last: 0 }
+            thread.replies++
+            thread.last = Math.max(thread.last, r._serial)
+            threads.set(r.parent, thread)
+        }
+        return threads
+    }
+
+    // Advance a user's read position, which never moves backwards.
+    markRead (u, serial) {
+        let reader = userKey(u)
+        if (serial <= (this.historyStore.reads.get(reader)?.serial ?? 0))
+            return false
+
+        this.historyStore.markRead(reader, serial, u.name)
+        this.receive({
+            _set: 'read',
+            value: { name: u.name, serial },
+            _ephemeral: true
+        })
+        return true
+    }
+
+    // The names of those who have read as far as a message.
+    seenBy (serial) {
+        let names = new Set()
+        for (const read of this.historyStore.reads.values())
+            if (read.serial >= serial)
+                names.add(read.name)
+        return [...names]
+    }
+
+    // Tell a returning user's socket how many messages it has yet to read,
+    // not counting its own. Users who have never acknowledged a message
+    // are not told.
+    sendUnread (u, socketId) {
+        let reader = userKey(u)
+        let read = this.historyStore.reads.get(reader)
+        if ( ! read )
+            return
+
+        let count = this.historyStore.retrieve(read.serial + 1)
+            .filter(r => ! r._deleted && r._author !== reader)
+            .length
+        this.receive({
+            to: socketId,
+            _set: 'unread',
+            value: { count, since: read.serial }
+        })
+    }
+
+    // Tell clients how a thread has changed.
+    broadcastThread (serial) {
+        this.receive({
+            _set: 'thread',
+            value: {
+                serial,
+                ...(this.threads().get(serial) ?? { replies: 0, last: 0 })
+            }
+        })
     }
 
     // Switch incoming messages and execute actions appropriate to their type.
+    // Returns a promise resolving once the message has been processed,
+    // to true, or to false if it was dropped or failed.
+    // Stages must not await it, since it waits for them.
     receive (message) {
         // Interpret non-object messages as internal text notifications
         if (typeof message !== 'object')
@@ -137,14 +565,49 @@ class ChatChannel {
         // If not otherwise marked, assume the message originated internally.
         message._sender ??= this.serverId
 
-        this.messageProcessor.process(message)
+        // Only client transmissions are turned away; events and internal
+        // messages must be processed for the channel to stay consistent.
+        if (this.queueLength >= this.maxQueue
+                && message._event === 'transmit') {
+            log.err(`Queue full in ${this.name}; dropping message from `
+                + message._sender)
+            // Reply directly, since the queue has no room for a reply.
+            this.relay?.broadcast?.({
+                ...errorReply(message, 'OVERLOADED'),
+                room: this.name
+            })
+            return Promise.resolve(false)
+        }
+
+        // Messages are processed one at a time, in the order received.
+        this.queueLength++
+        let done = this.queue
+            .then(() => this.messageProcessor.process(message))
+            .then(() => true, er => {
+                log.err(`Unhandled error in ${this.name}: `, er.message)
+                return false
+            })
+            .finally(() => { this.queueLength-- })
+        this.queue = done
+        return done
     }
 }
 
 class ChatUser {
     constructor (properties) {
-        this.socketId = properties.socketId ?? null
+        // A user may be connected through several sockets at once,
+        // e.g. from more than one browser tab.
+        this.socketIds = new Set()
+        if (properties.socketId != null)
+            this.socketIds.add(properties.socketId)
         this.sessionId = properties.sessionId ?? null
+        // The authenticated account which began the session, if any.
+        this.account = properties.account ?? null
+        this.role = properties.role ?? 'member'
+        this.status = 'online' // or 'idle', once all its sockets are idle
+        this.away = false // Set by the user, overriding 'online' and 'idle'
+        this.statusText = '' // Custom text chosen by the user
+        this.joined = Date.now()
         if (typeof properties.name === 'string') {
             this.name = properties.name
         } else {
@@ -157,6 +620,8 @@ class ChatUser {
     }
 }
 
+// Each stage is named, so that plugins may insert stages around it,
+// or remove it; see Conveyor.
 function initializeChatProcessor (channel) {
     channel.messageProcessor = new Conveyor()
     channel.messageProcessor
@@ -164,34 +629,103 @@ function initializeChatProcessor (channel) {
             // Do not broadcast connections
             end()
         })
+        .as('connect')
         .use({ _event: 'disconnect' }, (m, end) => {
-            let u = channel.getUser({ socketId: m._sender })
-            if (u) {
-                channel.deleteUser(u)
-            } else {
-                u = {name: 'Unknown user'}
+            let u = channel.removeSocket(m._sender)
+
+            // A user remains connected until their last socket closes.
+            if (u?.socketIds.size) {
+                channel.refreshStatus(u)
+                return end()
             }
+
+            // Users who were already removed, e.g. by a kick,
+            // need no further announcement.
+            if ( ! u ) {
+                channel.noteVacancy()
+                return end()
+            }
+
+            // Reserve the identity of a known session instead of
+            // announcing the disconnection right away.
+            if (u.sessionId != null && channel.sessionGracePeriod > 0) {
+                channel.holdSession(u)
+                return end()
+            }
+
+            channel.deleteUser(u)
             channel.receive({
                 text: `${u.name} disconnected.`,
                 _remember: true
             })
             log('Server processed disconnect for ' + u.name, dim)
             channel.broadcastUserList()
+            channel.noteVacancy()
 
             end()
         })
+        .as('disconnect')
+        // Sockets which have been quiet for a while, or become active again
+        .use({ _event: 'idle' }, (m, end) => {
+            channel.idleSockets.add(m._sender)
+            let u = channel.getUser({ socketId: m._sender })
+            if (u)
+                channel.refreshStatus(u)
+            end()
+        })
+        .as('idle')
+        .use({ _event: 'active' }, (m, end) => {
+            channel.idleSockets.delete(m._sender)
+            let u = channel.getUser({ socketId: m._sender })
+            if (u)
+                channel.refreshStatus(u)
+            end()
+        })
+        .as('active')
+        // A socket leaving this room, but not necessarily the server.
+        .use({ _event: 'leave' }, (m, end) => {
+            let u = channel.removeSocket(m._sender)
+            if (u?.socketIds.size) {
+                channel.refreshStatus(u)
+            } else if (u) {
+                channel.deleteUser(u)
+                channel.receive({
+                    text: `${u.name} left.`,
+                    _remember: true
+                })
+                channel.broadcastUserList()
+            }
+
+            // Stop delivering this room's traffic to the socket.
+            channel.relay?.dismissListener?.(m._sender, channel.name)
+            log(`Socket ${m._sender} left ${channel.name}`, dim)
+            channel.noteVacancy()
+
+            end()
+        })
+        .as('leave')
         // Handle rename requests
         .use({ request: 'rename' }, (m, end) => {
+            let currentRecord = channel.getUser({ socketId: m._sender })
+            if ( ! currentRecord ) {
+                channel.fail(m, 'NOT_IDENTIFIED')
+                return end()
+            }
+            if (typeof m.text !== 'string' || m.text.trim() === '') {
+                channel.fail(m, 'INVALID_NAME')
+                return end()
+            }
+
             // Enforce a maximum username length
             if (m.text.length > channel.maxNameLength)
                 m.text = m.text.slice(0, channel.maxNameLength) + '...'
 
             log(`❕ >>> rename request content: <${m._sender}> ${m.text}`, pink)
-            let currentRecord = channel.getUser({ socketId: m._sender })
             let nameHolder = channel.getUser({ name: m.text })
+            let reserved = channel.isReserved(m.text, m)
 
-            // If no one else holds the name, approve the request.
-            if ( ! nameHolder ) {
+            // If no one else holds or has reserved the name, approve it.
+            if ( ! nameHolder && ! reserved ) {
                 log(`(1) Not in use -- approving request`, pink)
                 channel.receive({
                     text: `${currentRecord.name} renamed to ${m.text}`,
@@ -203,23 +737,29 @@ function initializeChatProcessor (channel) {
                 })
 
                 channel.updateUser({ socketId: m._sender}, { name: m.text })
+                channel.receive({
+                    to: [...currentRecord.socketIds],
+                    _set: 'name',
+                    value: m.text
+                })
                 channel.broadcastUserList()
+                channel.respond(m, { value: m.text })
 
-            } else if ( nameHolder.sessionId === currentRecord.sessionId ) {
+            } else if ( nameHolder?.sessionId === currentRecord.sessionId ) {
                 log(`(2) Redundant rename request.`, pink)
-                channel.receive({
-                    to: m._sender,
-                    text: `You are already named ${m.text}.`
-                })
+                channel.fail(m, 'NAME_UNCHANGED',
+                    `You are already named ${m.text}.`)
                 
             } else {
-                log(`(3) Rejecting request -- in use`, pink)
-                channel.receive({
-                    text: `Name already in use. (${m.text})`,
-                    to: m._sender,
-                })
+                log(`(3) Rejecting request -- in use or reserved`, pink)
+                if (nameHolder)
+                    channel.fail(m, 'NAME_IN_USE',
+                        `Name already in use. (${m.text})`)
+                else
+                    channel.fail(m, 'NAME_RESERVED',
+                        `Name is reserved. (${m.text})`)
                 channel.receive({
-                    to: m._sender,
+                    to: [...currentRecord.socketIds],
                     _set: 'name',
                     value: currentRecord.name
                 })
@@ -227,29 +767,118 @@ function initializeChatProcessor (channel) {
 
             end()
         })
+        .as('rename')
         // Serve rename requests
         .use({ request: 'identify' }, (m, end) => {
             log(`Got identify request: `, pink, m)
+
+            // Turn away banned sessions and addresses.
+            if (channel.moderation?.isBanned({
+                account: m._auth?.name,
+                sessionId: m.sid,
+                address: channel.relay?.addressOf?.(m._sender)
+            })) {
+                log.err(`Refusing banned identify from socket ${m._sender}`)
+                channel.relay?.disconnect?.(m._sender, 4003, 'Banned')
+                return end()
+            }
+
             // Allow the socket to receive messages once it has
             // made some attempt to identify itself:
-            channel.relay.approveListener(m._sender)
+            channel.relay.approveListener(m._sender, channel.name)
+
+            // Session ids key authorship, reactions, read positions and
+            // moderation as strings, so other values would collide.
+            if (m.sid != null && (typeof m.sid !== 'string' || m.sid === '')) {
+                channel.fail(m, 'INVALID_SESSION')
+                return end()
+            }
+
+            // Only whoever began a session may take it over.
+            let claimed = m.sid != null
+                && channel.getUser({ sessionId: m.sid })
+            if (claimed && ! channel.ownsSession(m, claimed)) {
+                log.err(`Refusing identify from socket ${m._sender}`
+                    + ` for another user's session`)
+                channel.fail(m, 'SESSION_IN_USE')
+                return end()
+            }
+
+            // A reconnecting session silently reclaims its identity, and
+            // receives whatever it missed since the last serial it saw.
+            if (channel.lingering.has(m.sid)) {
+                let { user, lastSerial } =
+                    channel.resumeSession(m.sid, m._sender)
+                let since = Number.isInteger(m.lastSeen)
+                    ? m.lastSeen
+                    : lastSerial
+                let missed = channel.retrieve(since + 1)
+
+                channel.receive({
+                    to: m._sender,
+                    _set: 'name',
+                    value: user.name
+                })
+                if (missed.length)
+                    channel.receive({
+                        to: m._sender,
+                        history: missed
+                    })
+                channel.receive({
+                    to: m._sender,
+                    _set: 'lastSeen',
+                    value: channel.lastSerial
+                })
+                channel.sendUnread(user, m._sender)
+                channel.respond(m, { value: user.name })
+                return end()
+            }
+
+            // Another socket of a connected session joins the same user.
+            let existing = m.sid != null
+                && channel.getUser({ sessionId: m.sid })
+            if (existing) {
+                channel.addSocket(existing, m._sender)
+                channel.receive({
+                    to: m._sender,
+                    _set: 'name',
+                    value: existing.name
+                })
+                channel.receive({
+                    to: m._sender,
+                    _set: 'lastSeen',
+                    value: channel.lastSerial
+                })
+                channel.sendUnread(existing, m._sender)
+                channel.respond(m, { value: existing.name })
+                return end()
+            }
+
+            // Authenticated users are always called by their account name.
+            if (m._auth)
+                m.name = m._auth.name
+            if (typeof m.name !== 'string')
+                m.name = ''
 
             // Enforce a maximum username length
             if (m.name.length > channel.maxNameLength)
                 m.name = m.name.slice(0, channel.maxNameLength) + '...'
 
             // Figure out what to call this user, create a record for it:
-            // If name already in use or unspecified...
-            if (channel.getUser({ name: m.name }) || m.name === '') {
+            // If name already in use, reserved or unspecified...
+            if (channel.getUser({ name: m.name }) || m.name === ''
+                || channel.isReserved(m.name, m)) {
                 let suggestedName = generateRandomName(channel)
                 
                 channel.createUser({
                     socketId: m._sender,
                     sessionId: m.sid,
-                    name: suggestedName
+                    account: m._auth?.name,
+                    name: suggestedName,
+                    role: channel.moderation?.roleOf(m._auth)
                 })
                 
-                log('Name already in use -- create/instructing name to:', pink,
+                log('Name unavailable -- create/instructing name to:', pink,
                     channel.getUser({ socketId: m._sender}).name, pink)
             // Otherwise, if the name is available...
             } else {
@@ -258,7 +887,9 @@ function initializeChatProcessor (channel) {
                 channel.createUser({
                     socketId: m._sender,
                     sessionId: m.sid,
-                    name: m.name
+                    account: m._auth?.name,
+                    name: m.name,
+                    role: channel.moderation?.roleOf(m._auth)
                 })
             }
 
@@ -275,6 +906,8 @@ function initializeChatProcessor (channel) {
                 _set: 'lastSeen',
                 value: channel.lastSerial
             })
+            channel.sendUnread(channel.getUser({ socketId: m._sender }),
+                m._sender)
 
             channel.receive({
                 text: channel.getUser({ socketId: m._sender}).name
@@ -283,59 +916,433 @@ function initializeChatProcessor (channel) {
             })
 
             channel.broadcastUserList()
+            channel.respond(m, {
+                value: channel.getUser({ socketId: m._sender}).name
+            })
             end()
         })
+        .as('identify')
         // Serve history requests
+        // History may be requested by serial range, with first and last,
+        // or paged through with before or after and a limit;
+        // see ChatChannel.page().
         .use({ request: 'history' }, (m, end) => {
-            let first = m.first ?? 0
-            let last = m.last ?? channel.lastSerial
-            let records = channel.retrieve(first, last)
-            if( records.length )
+            let { first, last, before, after, limit } = m
+            let serials = [first, last, before, after]
+                .every(n => n === undefined || Number.isFinite(n))
+            if ( ! serials || ! (limit === undefined
+                    || (Number.isInteger(limit) && limit > 0)) ) {
+                channel.fail(m, 'INVALID_RANGE')
+                return end()
+            }
+
+            let page = channel.page({ first, last, before, after, limit })
+            // Correlated requests are answered even when nothing was found.
+            let reply = successReply(m, page)
+            if (reply)
+                channel.receive(reply)
+            else if( page.history.length || page.trimmed )
                 channel.receive({
                     to: m._sender,
-                    history: records,
+                    ...page,
+                })
+            end()
+        })
+        .as('history')
+        // Authors may edit their own messages, and moderators any message.
+        .use({ request: 'edit' }, (m, end) => {
+            let change = authorizeChange(channel, m)
+            if ( ! change )
+                return end()
+
+            let { user, record, isAuthor } = change
+            if (typeof m.text !== 'string' || m.text.trim() === '') {
+                channel.fail(m, 'INVALID_TEXT')
+            } else if (channel.moderation?.isMuted(channel.name, user)) {
+                channel.fail(m, 'MUTED')
+            } else {
+                record = { ...record, text: m.text, _edited: Date.now() }
+                channel.historyStore.replace(m.serial, record)
+                channel.searchIndex.remove(m.serial)
+                channel.searchIndex.add(record)
+                if ( ! isAuthor )
+                    channel.moderation.record({
+                        action: 'edit',
+                        room: channel.name,
+                        by: user.name,
+                        serial: m.serial
+                    })
+
+                channel.receive({
+                    _set: 'edited',
+                    value: publicRecord(record)
+                })
+                channel.respond(m)
+            }
+            end()
+        })
+        .as('edit')
+        // Deleted messages leave a tombstone in the history,
+        // so that clients can tell what became of them.
+        .use({ request: 'delete' }, (m, end) => {
+            let change = authorizeChange(channel, m)
+            if ( ! change )
+                return end()
+
+            let { user, record, isAuthor } = change
+            let { _serial, _time, _author } = record
+            channel.historyStore.replace(m.serial,
+                { _serial, _time, _author, _deleted: Date.now() })
+            channel.searchIndex.remove(m.serial)
+            if ( ! isAuthor )
+                channel.moderation.record({
+                    action: 'delete',
+                    room: channel.name,
+                    by: user.name,
+                    serial: m.serial,
+                    reason: reasonOf(m)
                 })
+
+            channel.receive({
+                _set: 'deleted',
+                value: m.serial
+            })
+            if (record.parent !== undefined)
+                channel.broadcastThread(record.parent)
+            channel.respond(m)
             end()
         })
+        .as('delete')
+        // Reactions: { request: 'react' | 'unreact', serial, emoji }
+        // Each user may add each emoji to a message once.
+        .use({ request: 'react' }, (m, end) => {
+            react(channel, m, true)
+            end()
+        })
+        .as('react')
+        .use({ request: 'unreact' }, (m, end) => {
+            react(channel, m, false)
+            end()
+        })
+        .as('unreact')
+        // { request: 'search', text, name, since, until, before, limit }
+        // finds remembered messages containing all of the words in text,
+        // by the named author, between the times since and until.
+        // Results come newest first; to fetch the next page, repeat the
+        // search with before set to the 'next' value of the last page.
+        .use({ request: 'search' }, (m, end) => {
+            let { text, name, since, until, before, limit = 20 } = m
+            let valid = [text, name].every(v =>
+                    v === undefined || typeof v === 'string')
+                && [since, until, before].every(v =>
+                    v === undefined || Number.isFinite(v))
+                && Number.isInteger(limit) && limit > 0
+            if ( ! valid || ! (text?.trim() || name?.trim()) ) {
+                channel.fail(m, 'INVALID_SEARCH')
+                return end()
+            }
+
+            let found = {
+                _set: 'search',
+                value: channel.search({
+                    text,
+                    name,
+                    since,
+                    until,
+                    before,
+                    limit: Math.min(limit, channel.maxSearchResults)
+                })
+            }
+            channel.receive(successReply(m, found)
+                ?? { to: m._sender, ...found })
+            end()
+        })
+        .as('search')
+        // Read receipts: { request: 'ack', serial } marks every message
+        // up to serial as read by the sender.
+        .use({ request: 'ack' }, (m, end) => {
+            let u = channel.getUser({ socketId: m._sender })
+            if ( ! u ) {
+                channel.fail(m, 'NOT_IDENTIFIED')
+            } else if ( ! (Number.isInteger(m.serial) && m.serial > 0
+                    && m.serial <= channel.lastSerial) ) {
+                channel.fail(m, 'MESSAGE_NOT_FOUND')
+            } else {
+                channel.markRead(u, m.serial)
+                channel.respond(m)
+            }
+            end()
+        })
+        .as('ack')
+        // { request: 'seenBy', serial } lists who has read a message.
+        .use({ request: 'seenBy' }, (m, end) => {
+            if ( ! channel.findRecord(m.serial) ) {
+                channel.fail(m, 'MESSAGE_NOT_FOUND')
+            } else {
+                let seen = {
+                    _set: 'seenBy',
+                    value: { serial: m.serial, names: channel.seenBy(m.serial) }
+                }
+                channel.receive(successReply(m, seen)
+                    ?? { to: m._sender, ...seen })
+            }
+            end()
+        })
+        .as('seenBy')
+        // Presence: typing indicators and statuses are broadcast as
+        // ephemeral messages, which are neither timestamped nor remembered.
+        // { request: 'typing', typing: true | false }
+        .use({ request: 'typing' }, (m, end) => {
+            let u = channel.getUser({ socketId: m._sender })
+            if ( ! u ) {
+                channel.fail(m, 'NOT_IDENTIFIED')
+            } else if (channel.moderation?.isMuted(channel.name, u)) {
+                channel.fail(m, 'MUTED')
+            } else {
+                channel.setTyping(u, m.typing !== false)
+                channel.respond(m)
+            }
+            end()
+        })
+        .as('typing')
+        // { request: 'status', status: 'online' | 'away', text }
+        // Either field may be omitted to leave it unchanged.
+        .use({ request: 'status' }, (m, end) => {
+            let u = channel.getUser({ socketId: m._sender })
+            if ( ! u ) {
+                channel.fail(m, 'NOT_IDENTIFIED')
+            } else if ( ! [undefined, 'online', 'away'].includes(m.status) ) {
+                channel.fail(m, 'INVALID_STATUS')
+            } else {
+                if (m.status !== undefined)
+                    u.away = m.status === 'away'
+                if (m.text !== undefined)
+                    u.statusText = typeof m.text === 'string'
+                        ? m.text.trim().slice(0, channel.maxStatusLength)
+                        : ''
+                channel.refreshStatus(u, true)
+                channel.respond(m, { value: describeStatus(u) })
+            }
+            end()
+        })
+        .as('status')
+        // Moderation: remove a user from the server
+        .use({ request: 'kick' }, (m, end) => {
+            let auth = authorizeModeration(channel, m)
+            if (auth) {
+                let { actor, target } = auth
+                channel.moderation.record({
+                    action: 'kick',
+                    room: channel.name,
+                    by: actor.name,
+                    target: target.name,
+                    sessionId: target.sessionId,
+                    reason: reasonOf(m)
+                })
+                channel.expel(target, 4001, 'Kicked')
+                channel.receive({
+                    text: `${target.name} was kicked by ${actor.name}.`
+                        + describeReason(m),
+                    _remember: true
+                })
+                channel.broadcastUserList()
+                channel.respond(m)
+            }
+            end()
+        })
+        .as('kick')
+        // Moderation: silence a user in this room for a number of seconds
+        .use({ request: 'mute' }, (m, end) => {
+            let auth = authorizeModeration(channel, m)
+            if (auth && ! channel.moderation.canTarget(auth.target)) {
+                channel.fail(m, 'NO_SESSION',
+                    `No account or session is known for ${auth.target.name}.`)
+            } else if (auth) {
+                let { actor, target } = auth
+                let seconds = Number(m.duration) > 0 ? Number(m.duration) : 300
+                channel.moderation.record({
+                    action: 'mute',
+                    room: channel.name,
+                    by: actor.name,
+                    target: target.name,
+                    account: target.account,
+                    sessionId: target.sessionId,
+                    until: Date.now() + seconds * 1000,
+                    reason: reasonOf(m)
+                })
+                channel.receive({
+                    text: `${target.name} was muted by ${actor.name} `
+                        + `for ${seconds} seconds.` + describeReason(m),
+                    _remember: true
+                })
+                channel.respond(m)
+            }
+            end()
+        })
+        .as('mute')
+        // Moderation: ban a user's session, or the addresses it connects
+        // from, optionally for a number of seconds
+        .use({ request: 'ban' }, (m, end) => {
+            let auth = authorizeModeration(channel, m)
+            if (auth) {
+                let { actor, target } = auth
+                let entry = {
+                    action: 'ban',
+                    room: channel.name,
+                    by: actor.name,
+                    target: target.name,
+                    reason: reasonOf(m)
+                }
+
+                if (m.scope === 'address') {
+                    entry.addresses = [...target.socketIds]
+                        .map(id => channel.relay?.addressOf?.(id))
+                        .filter(a => a != null)
+                    if (entry.addresses.length === 0) {
+                        channel.fail(m, 'NO_ADDRESS',
+                            `No address is known for ${target.name}.`)
+                        return end()
+                    }
+                } else if (channel.moderation.canTarget(target)) {
+                    entry.account = target.account
+                    entry.sessionId = target.sessionId
+                } else {
+                    channel.fail(m, 'NO_SESSION',
+                        `No account or session is known for ${target.name}.`)
+                    return end()
+                }
+
+                if (Number(m.duration) > 0)
+                    entry.until = Date.now() + Number(m.duration) * 1000
+
+                channel.moderation.record(entry)
+                channel.expel(target, 4003, 'Banned')
+                channel.receive({
+                    text: `${target.name} was banned by ${actor.name}.`
+                        + describeReason(m),
+                    _remember: true
+                })
+                channel.broadcastUserList()
+                channel.respond(m)
+            }
+            end()
+        })
+        .as('ban')
+        // Moderation: delete a remembered message by its serial number
+        .use({ request: 'remove' }, (m, end) => {
+            let auth = authorizeModeration(channel, m, false)
+            if (auth && ! (Number.isInteger(m.serial)
+                    && channel.historyStore.remove(m.serial))) {
+                channel.fail(m, 'MESSAGE_NOT_FOUND')
+            } else if (auth) {
+                channel.searchIndex.remove(m.serial)
+                channel.moderation.record({
+                    action: 'remove',
+                    room: channel.name,
+                    by: auth.actor.name,
+                    serial: m.serial,
+                    reason: reasonOf(m)
+                })
+                channel.receive({
+                    _set: 'removed',
+                    value: m.serial
+                })
+                channel.receive({
+                    text: `A message was removed by ${auth.actor.name}.`
+                        + describeReason(m),
+                    _remember: true
+                })
+                channel.respond(m)
+            }
+            end()
+        })
+        .as('remove')
+        // Interpret slash commands instead of broadcasting them.
+        // Commands usually re-issue an equivalent message or request.
+        .use({ _event: 'transmit', text: /^\/\w/ }, async (m, end) => {
+            await channel.commands.dispatch(m)
+            end()
+        })
+        .as('commands')
+        // Muted users may still listen, but not speak
+        .use({ _event: 'transmit' }, (m, end) => {
+            let u = channel.getUser({ socketId: m._sender })
+            if (u && channel.moderation?.isMuted(channel.name, u)) {
+                channel.fail(m, 'MUTED')
+                end()
+            }
+        })
+        .as('muted')
         // Route direct messages -- do not pass them on for general broadcast
         .use({ recipient: '*' }, (m, end) => {
             let whom = channel.getUser({ name: m.recipient })
             // If recipient not found...
             if ( ! whom ) {
-                channel.receive({
-                    to: m._sender,
-                    text: 'Recipient not found.'
-                })
+                channel.fail(m, 'RECIPIENT_NOT_FOUND')
                 log('unable to match recipient.', pink)
                 return end()
             }
 
-            m.name = channel.getUser({ socketId: m._sender }).name
+            let sender = channel.getUser({ socketId: m._sender })
+            if ( ! sender ) {
+                channel.fail(m, 'NOT_IDENTIFIED')
+                return end()
+            }
+
+            m.name = sender.name
             log(`Direct routing from ${m.name} to ${whom.name}`, blue)
-            // Send to recipient...
+            // Send to all of the recipient's sockets...
             channel.receive({
-                to: whom.socketId,
+                to: [...whom.socketIds],
                 name: `${m.name} → ${whom.name}`,
                 text: m.text
             })
 
-            // Also send acknowledgement copy to sender
-            if (m._sender !== whom.socketId)
+            // Also send acknowledgement copy to all of the sender's sockets
+            if (sender !== whom)
                 channel.receive({
-                    to: m._sender,
+                    to: [...sender.socketIds],
                     name: `${m.name} → ${whom.name}`,
                     text: m.text
                 })
 
+            channel.respond(m)
             end()
         })
+        .as('direct')
+        // Any request not handled by now is not one this channel knows.
+        .use({ _event: 'transmit', request: '*' }, (m, end) => {
+            channel.fail(m, 'UNKNOWN_REQUEST',
+                `Unknown request type: ${m.request}.`)
+            end()
+        })
+        .as('unknownRequest')
+        // Replies name the serial of the message they reply to as 'parent'.
+        .use({ _event: 'transmit', parent: '*' }, (m, end) => {
+            if ( ! channel.findRecord(m.parent) ) {
+                channel.fail(m, 'MESSAGE_NOT_FOUND',
+                    'The message you replied to was not found.')
+                end()
+            }
+        })
+        .as('parent')
         // Attempt to look up username, mark normal transmissions for storage.
-        .use({ _event: 'transmit' }, m => {
-            m.name = channel.getUser({ socketId: m._sender }).name
+        .use({ _event: 'transmit' }, (m, end) => {
+            let u = channel.getUser({ socketId: m._sender })
+            if ( ! u ) {
+                channel.fail(m, 'NOT_IDENTIFIED')
+                return end()
+            }
+
+            m.name = u.name
             m._remember = true
+            if (u.sessionId != null)
+                m._author = authorKey(u.sessionId)
+            channel.setTyping(u, false)
         })
-        // Timestamp message
-        .use(m => {
+        .as('author')
+        // Timestamp message, unless it is ephemeral
+        .use({ _ephemeral: undefined }, m => {
             // Obtain a low-precision timestamp to discourage timing attacks (?)
             // Adjust to ensure timestamps always count up.
             let timestamp = 100 * parseInt(Date.now() / 100)
@@ -345,33 +1352,60 @@ function initializeChatProcessor (channel) {
             channel.lastTimestamp = timestamp
             m._time = timestamp
         })
-        // Remove internal sender poperty before recording or broadcasting
-        // this message:
+        .as('timestamp')
+        // Remove internal sender properties before recording or broadcasting
+        // this message. A requestId only concerns the sender, so it is
+        // answered here rather than passed on.
         .use(m => {
+            if ('requestId' in m) {
+                channel.respond(m)
+                delete m.requestId
+            }
             delete m._sender
+            delete m._auth
+            if (m._ephemeral)
+                delete m._remember
+            delete m._ephemeral
         })
+        .as('cleanup')
         // Keep a record of messages flagged for storage.
         .use({ _remember: true }, m => {
             // _remember is an internal flag which need not be recorded:
             delete m._remember
 
             m._serial = ++channel.lastSerial
-            channel.history.push(m)
+            channel.historyStore.append(m)
+            channel.searchIndex.add(m)
             log(`Remembering) ${channel.name}> [${m._serial}] `
                 +`${m.name}: ${m.text} `, yellow,
-                `(${channel.history.length}/${channel.maxHistory})`)
+                `(${channel.historyStore.size}/${channel.maxHistory})`)
+            channel.webhooks?.notify(channel, publicRecord(m))
 
-            // Remove 30% of the messages whenever the limit is exceeded.
-            if (channel.history.length > channel.maxHistory) {
-                channel.history = channel.history.slice(-channel.maxHistory * 0.7)
-                log('Trimmed history: ', pink,
-                    channel.history.map(h => h._serial).join(', '))
-            }
+            channel.enforceRetention()
         })
-        // Finally, broadcast messages which reached this point.
+        .as('remember')
+        // Finally, broadcast messages which reached this point,
+        // tagged with the room they belong to.
         .use(m => {
-            channel.relay?.broadcast?.(m)
+            channel.relay?.broadcast?.({
+                ...publicRecord(m),
+                room: channel.name
+            })
         })
+        .as('broadcast')
+        // Then tell clients how the thread a new reply belongs to has grown.
+        .use({ _serial: '*', parent: '*' }, m => {
+            channel.broadcastThread(m.parent)
+        })
+        .as('thread')
+        // Errors thrown by any stage end up here, rather than unhandled.
+        .catch((er, m, end) => {
+            log.err(`Error processing message in ${channel.name}: `,
+                er.message, er.stack)
+            if (m._sender !== undefined && m._sender !== channel.serverId)
+                channel.fail(m, 'INTERNAL_ERROR')
+        })
+        .as('error')
 }
 
 // WebSocketRelay handles the management of WebSocket connections
@@ -382,11 +1416,22 @@ function initializeChatProcessor (channel) {
 // Any other fields should be considered unsafe user input.
 // Any client-sent messages containing underscore-prepended keys
 // are forbidden from reaching the server.
+// Each socket's traffic is also subject to the relay's FloodGuard.
 class WebSocketRelay {
     static connectionID = 0
     sockets = new Set()
     socketInfo = new WeakMap()
     channel = null
+    floodGuard = new FloodGuard()
+    addresses = new Map() // remote address -> number of open sockets
+    maxConnectionsPerAddress = process.env.MAX_CONNECTIONS_PER_IP || 10
+    heartbeat = null
+    heartbeatInterval = process.env.HEARTBEAT_INTERVAL || 30000
+    idleTimeout = process.env.IDLE_TIMEOUT || 300000
+    // What to do with sockets which have sent nothing for idleTimeout:
+    // 'idle' marks their users as idle; 'close' closes them.
+    idlePolicy = process.env.IDLE_POLICY || 'idle'
+    metrics = null // Told of broadcasts and rejections; see metrics.cjs
 
     constructor (channel = null) {
         // May attach channel to relay, or vice versa.
@@ -400,38 +1445,167 @@ class WebSocketRelay {
         this.channel?.attachRelay?.(this)
     }
 
+    // Track how long each socket has been quiet, and apply the idle policy
+    // once it has been quiet for too long.
     resetIdleTimer (s) {
         if (this.socketInfo.has(s)) {
             let info = this.socketInfo.get(s)
             if ('timeout' in info)
                 clearTimeout(info.timeout)
 
+            // A quiet socket which speaks up is active once again.
+            if (info.idle) {
+                info.idle = false
+                this.channel.receive({ _sender: info.id, _event: 'active' })
+            }
+
             info.timeout = setTimeout(() => {
-                s.close()
-            }, process.env.IDLE_TIMEOUT || 300000)
+                if (this.idlePolicy === 'close') {
+                    s.close(1000, 'Idle timeout')
+                    return
+                }
+                info.idle = true
+                this.channel.receive({ _sender: info.id, _event: 'idle' })
+            }, this.idleTimeout)
         }
     }
 
-    approveListener (socketId) {
+    // Ping every socket periodically. Sockets which have not answered
+    // the previous ping with a pong are presumed dead, and terminated.
+    startHeartbeat () {
+        if (this.heartbeat)
+            return
+
+        this.heartbeat = setInterval(() => {
+            for (const s of this.sockets) {
+                let info = this.socketInfo.get(s)
+                if ( ! info.alive ) {
+                    log.err(`Socket ${info.id} missed a heartbeat -- `
+                        + `terminating`)
+                    s.terminate()
+                    continue
+                }
+                info.alive = false
+                s.ping()
+            }
+        }, this.heartbeatInterval)
+    }
+
+    stopHeartbeat () {
+        clearInterval(this.heartbeat)
+        this.heartbeat = null
+    }
+
+    // Allow a socket to receive messages, optionally including
+    // the traffic of a specific room.
+    approveListener (socketId, room) {
         for (const s of this.sockets) {
             let info = this.socketInfo.get(s)
             if (info.id === socketId) {
                 info.canListen = true
+                if (room !== undefined)
+                    info.rooms.add(room)
                 break
             }
         }
     }
 
-    receiveConnection (s) {
+    socketById (socketId) {
+        for (const s of this.sockets)
+            if (this.socketInfo.get(s).id === socketId)
+                return s
+        return null
+    }
+
+    addressOf (socketId) {
+        let s = this.socketById(socketId)
+        return s ? this.socketInfo.get(s).address : null
+    }
+
+    disconnect (socketId, code, reason) {
+        this.socketById(socketId)?.close(code, reason)
+    }
+
+    // Close every socket, e.g. when the server shuts down,
+    // resolving once they have all closed.
+    closeAll (code, reason) {
+        let closing = [...this.sockets].map(s =>
+            new Promise(resolve => s.once('close', resolve)))
+        for (const s of this.sockets)
+            s.close(code, reason)
+        this.stopHeartbeat()
+        return Promise.all(closing)
+    }
+
+    terminateAll () {
+        for (const s of this.sockets)
+            s.terminate()
+    }
+
+    // Stop delivering a room's traffic to a socket.
+    dismissListener (socketId, room) {
+        for (const s of this.sockets) {
+            let info = this.socketInfo.get(s)
+            if (info.id === socketId) {
+                info.rooms.delete(room)
+                break
+            }
+        }
+    }
+
+    // Apply a FloodGuard verdict to a socket whose message was not allowed.
+    // code is the error code to report; m is the message, if it was parsed.
+    enforce (s, verdict, code, m) {
+        let info = this.socketInfo.get(s)
+        log.err(`Flood guard: ${verdict} socket ${info.id} (${code})`)
+
+        switch (verdict) {
+            case 'warn':
+                s.send(JSON.stringify(errorReply(m, code,
+                    `${errorCodes[code]} Your message was dropped.`)))
+                break
+            case 'mute':
+                s.send(JSON.stringify(errorReply(m, code,
+                    `${errorCodes[code]} You have been muted for `
+                        + `${Math.round(this.floodGuard.muteDuration / 1000)}`
+                        + ` seconds.`)))
+                break
+            case 'disconnect':
+                // 1008: Policy Violation
+                s.close(1008, 'Rate limit exceeded')
+                break
+        }
+    }
+
+    // auth, if given, is the socket's verified identity from the handshake.
+    // address, if given, is used to cap simultaneous connections per client.
+    receiveConnection (s, { auth = null, address = null } = {}) {
         if ( this.sockets.has(s) )
             return false
 
+        if (address !== null) {
+            let count = this.addresses.get(address) ?? 0
+            if (count >= this.maxConnectionsPerAddress) {
+                log.err(`Refusing connection -- too many from ${address}`)
+                s.close(1008, 'Too many connections')
+                return false
+            }
+            this.addresses.set(address, count + 1)
+        }
+
         this.sockets.add(s)
         this.socketInfo.set(s, {
             id: WebSocketRelay.connectionID++,
-            canListen: false
+            canListen: false,
+            rooms: new Set(),
+            auth,
+            address,
+            limits: this.floodGuard.createState(),
+            alive: true,
+            idle: false
         })
         this.resetIdleTimer(s)
+        this.startHeartbeat()
 
         let id = this.socketInfo.get(s).id
         log(`Connection to socket with id=${id}. `
@@ -442,24 +1616,44 @@ class WebSocketRelay {
                 _event: 'connect'
             })
 
+        s.on('pong', () => {
+            this.socketInfo.get(s).alive = true
+        })
+
         // Read buffer as string, parse to object, insert system properties
         s.on('message', data => {
             try {
                 this.resetIdleTimer(s)
+                let { limits } = this.socketInfo.get(s)
+
+                // Reject oversized messages before parsing them.
+                let verdict = this.floodGuard.checkSize(limits, data.length)
+                if (verdict !== 'allow')
+                    return this.enforce(s, verdict, 'MESSAGE_TOO_LARGE')
 
                 let m = JSON.parse(String(data))
                 // Messages are turned into objects
-                // before channels receive them.
-                if (typeof m !== 'object')
-                    m = { text: String(m) }
+                // before channels receive them, or anything inspects them.
+                if (typeof m !== 'object' || m === null || Array.isArray(m))
+                    m = { text: typeof m === 'string' ? m : JSON.stringify(m) }
 
-                if (containsForbiddenFields(m)) {
+                verdict = this.floodGuard.check(limits, m)
+                if (verdict !== 'allow')
+                    return this.enforce(s, verdict, 'RATE_LIMITED', m)
+
+                let forbidden = containsForbiddenFields(m)
+                if (forbidden) {
                     log.err('Blocking message due to forbidden fields.')
+                    this.metrics?.forbidden(this, forbidden)
+                    s.send(JSON.stringify(errorReply(m, forbidden)))
                     return
                 }
 
                 m._sender = id
                 m._event = 'transmit'
+                let { auth } = this.socketInfo.get(s)
+                if (auth)
+                    m._auth = auth
                 
                 this.channel.receive(m)
 
@@ -472,8 +1666,19 @@ class WebSocketRelay {
                 {   _sender: id,
                     _event: 'disconnect'
                 })
+            clearTimeout(this.socketInfo.get(s).timeout)
             this.socketInfo.delete(s)
             this.sockets.delete(s)
+            if (this.sockets.size === 0)
+                this.stopHeartbeat()
+
+            if (address !== null) {
+                let remaining = this.addresses.get(address) - 1
+                if (remaining > 0)
+                    this.addresses.set(address, remaining)
+                else
+                    this.addresses.delete(address)
+            }
         })
 
         return true
@@ -494,46 +1699,235 @@ class WebSocketRelay {
             if ( ! Array.isArray(m.to) )
                 m.to = [m.to]
 
+            let recipients = 0
             for (const s of this.sockets) {
                 let info = this.socketInfo.get(s)
                 // Skip listeners who have not been approved
-                if (info.canListen !== true)
+                if ( ! this.canHear(info, m) )
                     continue
 
-                if (m.to.includes(info.id))
+                if (m.to.includes(info.id)) {
                     s.send(json)
+                    recipients++
+                }
             }
 
+            this.metrics?.delivered(this, recipients)
             return
         }
         // Otherwise, broadcast to all approved listeners
+        let recipients = 0
         for (const s of this.sockets) {
-            if (this.socketInfo.get(s).canListen)
+            if (this.canHear(this.socketInfo.get(s), m)) {
                 s.send(json)
+                recipients++
+            }
         }
+        this.metrics?.delivered(this, recipients)
+    }
+
+    // Room-tagged messages only reach sockets approved for that room.
+    canHear (info, m) {
+        if (info.canListen !== true)
+            return false
+        if ('room' in m)
+            return info.rooms.has(m.room)
+        return true
     }
 }
 
+// Returns the error code explaining why a message is forbidden,
+// or false if it is allowed.
 function containsForbiddenFields (message, recursionDepth = 0) {
     if (recursionDepth > 9) {
         log.err('Forbidden message: too many sub-fields.')
-        return true
+        return 'MESSAGE_TOO_DEEP'
     }
     for (const key in message) {
         if (/^_/.test(key)) {
             log.err(`Forbidden key value: ${key}.`)
-            return true
+            return 'FORBIDDEN_FIELD'
         }
 
         // Recursively check sub-objects.
         if (typeof message[key] === 'object') {
-            if (containsForbiddenFields(message[key], recursionDepth+1 ))
-                return true
+            let forbidden =
+                containsForbiddenFields(message[key], recursionDepth+1 )
+            if (forbidden)
+                return forbidden
         }
     }
     return false
 }
 
+// Look up the requester and the named target of a moderation request.
+// Returns null, after notifying the requester, if it may not proceed.
+function authorizeModeration (channel, m, needsTarget = true) {
+    let actor = channel.getUser({ socketId: m._sender })
+    if ( ! channel.moderation?.canModerate(actor) ) {
+        channel.fail(m, 'NOT_MODERATOR')
+        return null
+    }
+
+    if ( ! needsTarget )
+        return { actor }
+
+    let target = typeof m.name === 'string'
+        && channel.getUser({ name: m.name })
+    if ( ! target ) {
+        channel.fail(m, 'USER_NOT_FOUND')
+        return null
+    }
+
+    if ( ! channel.moderation.outranks(actor, target) ) {
+        channel.fail(m, 'INSUFFICIENT_RANK',
+            `You cannot moderate ${target.name}.`)
+        return null
+    }
+
+    return { actor, target }
+}
+
+// Look up the message which a sender wants to edit or delete.
+// Returns null, after notifying the sender, if it may not proceed.
+function authorizeChange (channel, m) {
+    let user = channel.getUser({ socketId: m._sender })
+    if ( ! user ) {
+        channel.fail(m, 'NOT_IDENTIFIED')
+        return null
+    }
+
+    let record = channel.findRecord(m.serial)
+    if ( ! record ) {
+        channel.fail(m, 'MESSAGE_NOT_FOUND')
+        return null
+    }
+
+    let isAuthor = record._author !== undefined
+        && user.sessionId != null
+        && record._author === authorKey(user.sessionId)
+    if ( ! isAuthor && ! channel.moderation?.canModerate(user) ) {
+        channel.fail(m, 'NOT_AUTHOR')
+        return null
+    }
+
+    return { user, record, isAuthor }
+}
+
+// A user's status, as announced to clients.
+function describeStatus (u) {
+    return {
+        name: u.name,
+        status: u.status,
+        ...(u.statusText && { text: u.statusText })
+    }
+}
+
+// Add (or remove) the sender's reaction to a message.
+function react (channel, m, adding) {
+    let user = channel.getUser({ socketId: m._sender })
+    if ( ! user )
+        return channel.fail(m, 'NOT_IDENTIFIED')
+
+    let record = channel.findRecord(m.serial)
+    if ( ! record )
+        return channel.fail(m, 'MESSAGE_NOT_FOUND')
+
+    if ( ! isEmoji(m.emoji) )
+        return channel.fail(m, 'INVALID_EMOJI')
+
+    if (channel.moderation?.isMuted(channel.name, user))
+        return channel.fail(m, 'MUTED')
+
+    let reactions = { ...record._reactions }
+    let reactors = reactions[m.emoji] ?? []
+    let key = userKey(user)
+
+    // Repeating a reaction, or removing an absent one, changes nothing.
+    if (reactors.includes(key) === adding)
+        return channel.respond(m)
+
+    if (adding && reactors.length === 0
+            && Object.keys(reactions).length >= channel.maxReactions)
+        return channel.fail(m, 'TOO_MANY_REACTIONS')
+
+    reactors = adding
+        ? [...reactors, key]
+        : reactors.filter(k => k !== key)
+    if (reactors.length)
+        reactions[m.emoji] = reactors
+    else
+        delete reactions[m.emoji]
+
+    record = { ...record, _reactions: reactions }
+    if (Object.keys(reactions).length === 0)
+        delete record._reactions
+    channel.historyStore.replace(m.serial, record)
+
+    channel.receive({
+        _set: 'reaction',
+        value: { serial: m.serial, emoji: m.emoji, count: reactors.length }
+    })
+    channel.respond(m)
+}
+
+// Accept a single emoji, including any modifiers and joined sequences.
+function isEmoji (text) {
+    return typeof text === 'string'
+        && text.length <= 32
+        && /[\p{Extended_Pictographic}\p{Regional_Indicator}]/u.test(text)
+        && /^[\p{Extended_Pictographic}\p{Emoji_Component}\u200d\ufe0f]+$/u
+            .test(text)
+}
+
+// Remembered messages note their author's session, so that it may change
+// them later. Session ids let clients resume sessions, so only a hash
+// is kept, and even that is never shown to clients.
+function authorKey (sessionId) {
+    return crypto.createHash('sha256')
+        .update(String(sessionId))
+        .digest('base64url')
+        .slice(0, 16)
+}
+
+// Identifies a user across reconnections, for reactions and read positions.
+// Users without a session are known by name.
+function userKey (u) {
+    return authorKey(u.sessionId ?? u.lowerCaseName)
+}
+
+// Settings which may be chosen per channel; see enforceRetention().
+const retentionKeys = [
+    'maxHistory',
+    'maxHistoryAge',
+    'maxHistoryBytes',
+    'historyTrimRatio'
+]
+
+// A record as clients may see it, given the summaries from threads().
+function publicRecord (record, threads) {
+    let { _author, _reactions, ...visible } = record
+
+    if (_reactions)
+        visible._reactions = Object.fromEntries(Object.entries(_reactions)
+            .map(([emoji, reactors]) => [emoji, reactors.length]))
+
+    let thread = threads?.get(record._serial)
+    if (thread)
+        visible._thread = thread
+
+    return visible
+}
+
+function reasonOf (m) {
+    return typeof m.reason === 'string' ? m.reason.slice(0, 200) : undefined
+}
+
+function describeReason (m) {
+    let reason = reasonOf(m)
+    return reason ? ` (${reason})` : ''
+}
+
 function generateRandomName (channel) {
     const adjectives = [
         'Persnickety',
@@ -3,31 +3,47 @@
  * sequentially) when .process() is called. Each function may be registered
  * with a corresponding pattern object, and will only be called for inputs
  * which match its pattern object.
+ *
+ * Stages may be named with .as(), so that others can later be inserted
+ * around them, or they can be removed, e.g. by plugins.
+ *
+ * If a stage throws, or rejects, the remaining ordinary stages are skipped
+ * and the error is passed to the stages which follow it registered with
+ * .catch(). If none handle it, process() rejects with it.
+ *
+ * Observers registered with .observe() are told how long each stage took.
  */
 class Conveyor {
-    stack = []
-    patterns = new WeakMap
+    stack = [] // { f, pattern, match, name, catches }
+    observers = []
+    lastStage = null // The stage most recently added, for .as()
 
     async process (...input) {
 
         let halt = false
         const end = () => { halt = true }
+        let error = null
+        let handled = false
 
-        for (const f of this.stack) {
+        // Stages added or removed mid-process take effect on the next input.
+        for (const [index, stage] of [...this.stack].entries()) {
+
+            // Error handlers only run once there is an error to handle.
+            if (stage.catches !== Boolean(error))
+                continue
 
             let skip = false
             // If a pattern has been specified,
             // and any of the inputs fail to match the pattern,
             // then skip this element of the function stack.
-            if (this.patterns.has(f)) {
+            if (stage.pattern !== undefined) {
                 // Treat empty input as a pattern mismatch
                 if (input.length === 0) {
                     skip = true
                 }
 
-                let pat = this.patterns.get(f)
                 for (const i of input) {
-                    if ( !patternMatch(pat, i) ) {
+                    if ( !stage.match(i) ) {
                         skip = true
                         break
                     }
@@ -37,11 +53,36 @@ class Conveyor {
             if (skip)
                 continue
 
-            await f.call(this, ...input, end)
+            let start = this.observers.length ? performance.now() : 0
+            let failure = null
+            try {
+                if (stage.catches) {
+                    await stage.f.call(this, error, ...input, end)
+                    handled = true
+                } else {
+                    await stage.f.call(this, ...input, end)
+                }
+            } catch (er) {
+                failure = er
+                error = er
+                handled = false
+            }
 
-            if (halt)
-                return
+            for (const o of this.observers)
+                o({
+                    name: stage.name,
+                    index,
+                    duration: performance.now() - start,
+                    input,
+                    error: failure
+                })
+
+            if (halt || handled)
+                break
         }
+
+        if (error && ! handled)
+            throw error
     }
 
     /**
@@ -56,19 +97,78 @@ class Conveyor {
      * invoke f() for inputs containing a property x = 1. Passing { x: '*' }
      * is interpreted as a wildcard match for the mere existence of property x.
      * Passing { x: undefined } is interpreted to mean that property x
-     * should NOT be present in the input object(s).
+     * should NOT be present in the input object(s). Patterns may also nest,
+     * and give alternatives, predicates and ranges; see compilePattern().
      * @param {function} f The function to potentially invoke when process(z)
      * is called on the Conveyor. f will receive a final function argument,
      * 'end', which may be used to terminate this iteration of process().
      * @returns {Conveyor} this, allowing fluent calls.
      */
     use (pattern, f) {
-        if (f) {
-            this.patterns.set(f, pattern)
-        } else {
-            f = pattern
-        }
-        this.stack.push(f)
+        return this.add(this.stack.length, createStage(pattern, f))
+    }
+
+    /**
+     * Add an error-handling function, called as f(err, input, end) when an
+     * earlier stage throws, or rejects, for an input matching its pattern.
+     * Unless f throws in turn, the error is then handled and processing
+     * stops; otherwise, the new error passes to the next such function.
+     * @param {Object} [pattern] As with use().
+     * @param {function} f The function to call with the error.
+     * @returns {Conveyor} this, allowing fluent calls.
+     */
+    catch (pattern, f) {
+        return this.add(this.stack.length,
+            createStage(pattern, f, { catches: true }))
+    }
+
+    // Name the stage most recently added.
+    as (name) {
+        if (this.find(name) !== -1)
+            throw new Error(`A stage named ${name} already exists.`)
+        this.lastStage.name = name
+        return this
+    }
+
+    // Add a stage, as with use(), immediately before or after a named one.
+    insertBefore (name, pattern, f) {
+        return this.add(this.indexOf(name), createStage(pattern, f))
+    }
+
+    insertAfter (name, pattern, f) {
+        return this.add(this.indexOf(name) + 1, createStage(pattern, f))
+    }
+
+    // Remove a named stage, returning whether it existed.
+    remove (name) {
+        let i = this.find(name)
+        if (i === -1)
+            return false
+        this.stack.splice(i, 1)
+        return true
+    }
+
+    // Call f({ name, index, duration, input, error }) after each stage runs,
+    // with its duration in ms, and any error it threw.
+    observe (f) {
+        this.observers.push(f)
+        return this
+    }
+
+    find (name) {
+        return this.stack.findIndex(s => s.name === name)
+    }
+
+    indexOf (name) {
+        let i = this.find(name)
+        if (i === -1)
+            throw new Error(`No stage named ${name}.`)
+        return i
+    }
+
+    add (index, stage) {
+        this.stack.splice(index, 0, stage)
+        this.lastStage = stage
         return this
     }
 
@@ -78,47 +178,112 @@ class Conveyor {
     }
 }
 
-// Check whether an object contains the same fields and values as
-// a pattern object. Shallow comparison; only checks direct reference
-// equality of sub-objects.
-// Treats '*' string values in the pattern as wildcards.
-// property: undefined indicates that the property must not exist
-// in the target object.
+// Accepts (pattern, f) or just (f), as with use().
+// Patterns are compiled up front, to keep process() fast.
+function createStage (pattern, f, { catches = false } = {}) {
+    if ( ! f )
+        return { f: pattern, pattern: undefined, name: undefined, catches }
+    let match = compilePattern(pattern)
+    return { f, pattern, match, name: undefined, catches }
+}
+
+// Check whether an object matches a pattern; see compilePattern().
 function patternMatch (pattern, obj) {
-    if (typeof pattern !== 'object') {
-        return pattern === obj
-    }
+    return compilePattern(pattern)(obj)
+}
+
+const compiledPatterns = new WeakMap() // pattern -> matching function
+
+// Turn a pattern into a function testing whether an object matches it.
+// Each field of the pattern is tested against the same field of the object:
+// '*' matches any value;
+// a RegExp matches values which it tests true for;
+// a plain object matches a nested object, recursively;
+// an array matches any value matched by one of its elements;
+// a function matches values for which it returns true;
+// an object of operators, whose keys begin with $, matches values
+// passing every one of them: $not: pattern, $eq: exact value, e.g. '*',
+// and $gt, $gte, $lt, $lte: numeric bounds;
+// anything else matches only an identical value.
+// Fields must be present in the object, except that undefined matches only
+// an absent field, and an array including undefined also matches one.
+// Matchers are cached, so patterns must not be changed after use.
+function compilePattern (pattern) {
+    if (typeof pattern !== 'object' || pattern === null)
+        return obj => obj === pattern
+
+    let matcher = compiledPatterns.get(pattern)
+    if (matcher)
+        return matcher
 
-    for (const key of Reflect.ownKeys(pattern)) {
-        
+    let tests = Reflect.ownKeys(pattern).map(key => {
+        let value = pattern[key]
         // Ensure specifically undefined properties are NOT in the object
-        if (pattern[key] === undefined) {
-            if(key in obj){
-                return false
-            } else {
-                continue
-            }
-        }
+        if (value === undefined)
+            return obj => ! (key in obj)
 
-        // Ensure the pattern key is in the object.
-        if ( !(key in obj) )
-            return false
+        let test = compileValue(value)
+        let optional = Array.isArray(value) && value.includes(undefined)
+        return obj => key in obj ? test(obj[key]) : optional
+    })
+
+    matcher = obj => typeof obj === 'object' && obj !== null
+        && tests.every(t => t(obj))
+    compiledPatterns.set(pattern, matcher)
+    return matcher
+}
 
-        // Accept wildcards
-        if (pattern[key] === '*')
-            continue
+function compileValue (value) {
+    if (value === '*')
+        return () => true
 
-        // Apply regular expressions
-        if (pattern[key] instanceof RegExp
-            && pattern[key].test(obj[key]))
-            continue
+    if (value instanceof RegExp)
+        return v => value.test(v)
 
-        // Check equality of non-wildcard values
-        if (pattern[key] !== obj[key])
-            return false
+    if (Array.isArray(value)) {
+        let options = value.map(compileValue)
+        return v => options.some(t => t(v))
     }
 
-    return true
+    if (typeof value === 'function')
+        return v => Boolean(value(v))
+
+    if ( ! isPlainObject(value) )
+        return v => v === value
+
+    let keys = Reflect.ownKeys(value)
+    if (keys.length && keys.every(k => String(k).startsWith('$')))
+        return compileOperators(value)
+
+    return compilePattern(value)
+}
+
+const operators = {
+    $not: operand => {
+        let test = compileValue(operand)
+        return v => ! test(v)
+    },
+    $eq: operand => v => v === operand,
+    $gt: operand => v => typeof v === 'number' && v > operand,
+    $gte: operand => v => typeof v === 'number' && v >= operand,
+    $lt: operand => v => typeof v === 'number' && v < operand,
+    $lte: operand => v => typeof v === 'number' && v <= operand,
+}
+
+function compileOperators (value) {
+    let tests = Reflect.ownKeys(value).map(op => {
+        if ( ! Object.hasOwn(operators, op) )
+            throw new Error(`Unknown pattern operator: ${String(op)}`)
+        return operators[op](value[op])
+    })
+    return v => tests.every(t => t(v))
+}
+
+function isPlainObject (value) {
+    if (typeof value !== 'object' || value === null)
+        return false
+    let prototype = Object.getPrototypeOf(value)
+    return prototype === Object.prototype || prototype === null
 }
 
-module.exports = { Conveyor }
+module.exports = { Conveyor, patternMatch, compilePattern }
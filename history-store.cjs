@@ -0,0 +1,296 @@
+const fs = require('node:fs')
+const path = require('node:path')
+
+/**
+ * Keeps a channel's remembered messages in memory.
+ * Other stores extend this class to add persistence, so a ChatChannel
+ * only ever talks to this interface:
+ *
+ * store.load() restores records, lastSerial and lastTimestamp.
+ * store.append(record) adds a remembered message.
+ * store.trim(count) discards all but the most recent count records.
+ * store.remove(serial) discards one record, returning whether it existed.
+ * store.replace(serial, record) substitutes a new version of one record,
+ * returning whether it existed.
+ * store.retrieve(first, last) returns records within a serial range.
+ * store.markRead(reader, serial, name) records how far a reader has read.
+ * store.reads maps each reader to its { serial, name }.
+ * store.flush() saves anything whose saving was put off.
+ * store.discard() forgets everything, deleting anything saved.
+ *
+ * Read positions older than every record still held are forgotten
+ * whenever the store is trimmed.
+ */
+class MemoryHistoryStore {
+    records = []
+    reads = new Map() // reader -> { serial, name }
+    lastSerial = 0
+    lastTimestamp = 0
+
+    load () {
+        return this
+    }
+
+    get size () {
+        return this.records.length
+    }
+
+    append (record) {
+        this.records.push(record)
+        this.lastSerial = Math.max(this.lastSerial, record._serial ?? 0)
+        this.lastTimestamp = Math.max(this.lastTimestamp, record._time ?? 0)
+    }
+
+    trim (count) {
+        this.records = count > 0 ? this.records.slice(-count) : []
+        this.pruneReads()
+    }
+
+    // Forget readers who have read none of the records still held,
+    // returning whether there were any.
+    pruneReads () {
+        let oldest = this.records[0]?._serial ?? this.lastSerial + 1
+        let pruned = false
+        for (const [reader, read] of this.reads) {
+            if (read.serial < oldest) {
+                this.reads.delete(reader)
+                pruned = true
+            }
+        }
+        return pruned
+    }
+
+    remove (serial) {
+        let before = this.records.length
+        this.records = this.records.filter(r => r._serial !== serial)
+        return this.records.length < before
+    }
+
+    replace (serial, record) {
+        let i = this.records.findIndex(r => r._serial === serial)
+        if (i === -1)
+            return false
+        this.records[i] = record
+        return true
+    }
+
+    retrieve (first = 0, last = this.lastSerial) {
+        return this.records.filter(h =>
+            h._serial >= first && h._serial <= last)
+    }
+
+    markRead (reader, serial, name) {
+        this.reads.set(reader, { serial, name })
+    }
+
+    flush () {}
+
+    discard () {
+        this.records = []
+        this.reads.clear()
+    }
+}
+
+/**
+ * Persists remembered messages to an append-only file, one JSON record
+ * per line. Edits and removals are appended too, as a new version of
+ * the record or as { _serial, _removed: true }, superseding earlier lines.
+ * Trimming rewrites the file so that it only holds the records still
+ * in memory.
+ * Read positions are kept beside it in a JSON file ending .reads.json,
+ * written at most once every readsDelay milliseconds. The last serial
+ * and timestamp issued are kept in another, ending .meta.json, so that
+ * serials are never reused once their records are gone.
+ */
+class JsonLinesHistoryStore extends MemoryHistoryStore {
+    file = null
+    readsFile = null
+    metaFile = null
+    lineCount = 0 // Lines in the file, including any already trimmed.
+    readsDelay = Number(process.env.READS_WRITE_DELAY) || 1000
+    readsTimer = null // Set while read positions await writing
+
+    constructor (file) {
+        super()
+        this.file = file
+        let base = file.replace(/\.jsonl$/, '')
+        this.readsFile = base + '.reads.json'
+        this.metaFile = base + '.meta.json'
+    }
+
+    load () {
+        let text = ''
+        try {
+            text = fs.readFileSync(this.file, 'utf8')
+        } catch (er) {
+            if (er.code !== 'ENOENT')
+                throw er
+        }
+
+        for (const line of text.split('\n')) {
+            if (line.trim() === '')
+                continue
+            this.lineCount++
+            try {
+                this.restore(JSON.parse(line))
+            } catch (er) {
+                // A crash mid-write can leave a partial final line.
+                log.err(`Skipping unreadable history line in ${this.file}`)
+            }
+        }
+
+        log(`Restored ${this.records.length} message(s) from ${this.file}`,
+            dim)
+
+        // The records left on disk may not include the latest serial,
+        // so never count back below what was last issued.
+        try {
+            let meta = JSON.parse(fs.readFileSync(this.metaFile, 'utf8'))
+            this.lastSerial = Math.max(this.lastSerial, meta.lastSerial ?? 0)
+            this.lastTimestamp =
+                Math.max(this.lastTimestamp, meta.lastTimestamp ?? 0)
+        } catch (er) {
+            if (er.code !== 'ENOENT')
+                log.err(`Ignoring unreadable history metadata in `
+                    + this.metaFile)
+        }
+
+        if (this.lineCount > this.records.length)
+            this.compact()
+
+        try {
+            let reads = JSON.parse(fs.readFileSync(this.readsFile, 'utf8'))
+            this.reads = new Map(Object.entries(reads))
+        } catch (er) {
+            if (er.code !== 'ENOENT')
+                log.err(`Ignoring unreadable read positions in `
+                    + this.readsFile)
+        }
+        this.pruneReads()
+
+        return this
+    }
+
+    append (record) {
+        super.append(record)
+        this.appendLine(record)
+    }
+
+    appendLine (record) {
+        fs.mkdirSync(path.dirname(this.file), { recursive: true })
+        fs.appendFileSync(this.file, JSON.stringify(record) + '\n')
+        this.lineCount++
+    }
+
+    trim (count) {
+        super.trim(count)
+        this.compact()
+    }
+
+    // Apply one line of the file: a new record, or a change to one
+    // which an earlier line held.
+    restore (record) {
+        if (record._serial <= this.lastSerial && record._removed)
+            super.remove(record._serial)
+        else if (record._serial <= this.lastSerial)
+            super.replace(record._serial, record)
+        else
+            super.append(record)
+    }
+
+    remove (serial) {
+        let removed = super.remove(serial)
+        if (removed)
+            this.appendChange({ _serial: serial, _removed: true })
+        return removed
+    }
+
+    replace (serial, record) {
+        let replaced = super.replace(serial, record)
+        if (replaced)
+            this.appendChange(record)
+        return replaced
+    }
+
+    // Superseded lines are left in the file until they outnumber
+    // the records held, so that it is only rewritten now and then.
+    appendChange (line) {
+        this.appendLine(line)
+        if (this.lineCount > 2 * this.records.length)
+            this.compact()
+    }
+
+    markRead (reader, serial, name) {
+        super.markRead(reader, serial, name)
+        this.scheduleReadsWrite()
+    }
+
+    pruneReads () {
+        let pruned = super.pruneReads()
+        if (pruned)
+            this.scheduleReadsWrite()
+        return pruned
+    }
+
+    // Read positions change with every acknowledgement, so rather than
+    // rewrite the file each time, gather the changes for a while.
+    scheduleReadsWrite () {
+        this.readsTimer ??= setTimeout(() => this.flush(), this.readsDelay)
+    }
+
+    flush () {
+        if (this.readsTimer === null)
+            return
+        clearTimeout(this.readsTimer)
+        this.readsTimer = null
+        writeAtomically(this.readsFile,
+            JSON.stringify(Object.fromEntries(this.reads)))
+    }
+
+    discard () {
+        super.discard()
+        clearTimeout(this.readsTimer)
+        this.readsTimer = null
+        for (const file of [this.file, this.readsFile, this.metaFile])
+            fs.rmSync(file, { force: true })
+    }
+
+    // Replace the file with the records currently held.
+    // The metadata is written first, since once the file is rewritten
+    // it may no longer hold the latest serial.
+    compact () {
+        writeAtomically(this.metaFile, JSON.stringify({
+            lastSerial: this.lastSerial,
+            lastTimestamp: this.lastTimestamp
+        }))
+        writeAtomically(this.file,
+            this.records.map(r => JSON.stringify(r) + '\n').join(''))
+        this.lineCount = this.records.length
+    }
+}
+
+// Write a file by way of a temporary file, so that a crash mid-write
+// cannot leave it truncated.
+function writeAtomically (file, text) {
+    let temp = file + '.tmp'
+    fs.mkdirSync(path.dirname(file), { recursive: true })
+    fs.writeFileSync(temp, text)
+    fs.renameSync(temp, file)
+}
+
+// Choose a store for the named channel based on the environment:
+// if HISTORY_DIR is set, history is kept in a file per channel.
+function createHistoryStore (channelName) {
+    if ( ! process.env.HISTORY_DIR )
+        return new MemoryHistoryStore()
+
+    let file = encodeURIComponent(channelName.toLowerCase()) + '.jsonl'
+    return new JsonLinesHistoryStore(
+        path.join(process.env.HISTORY_DIR, file))
+}
+
+module.exports = {
+    MemoryHistoryStore,
+    JsonLinesHistoryStore,
+    createHistoryStore
+}
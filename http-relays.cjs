@@ -0,0 +1,254 @@
+const { EventEmitter } = require('node:events')
+const crypto = require('node:crypto')
+const express = require('express')
+const { WebSocketRelay } = require('./chat-channel.cjs')
+
+/**
+ * Fallback transports for clients which cannot hold a WebSocket open.
+ * Each relay is a WebSocketRelay serving stand-in sockets, so messages
+ * are subject to exactly the same size, flood and forbidden-field checks,
+ * and reach the channel in the same form.
+ *
+ * Each relay provides an Express router, to be mounted by the server.
+ * router(admit) takes a function deciding whether a request may connect,
+ * returning { status } if not, or else { auth, address }.
+ *
+ * Connections are identified by a random token, which the client must
+ * present with every subsequent request.
+ */
+
+/**
+ * Server-Sent Events, with messages sent up by HTTP POST:
+ *
+ * GET  /        opens the event stream. The first event, named
+ *               'connection', carries { connection: token }.
+ *               Each message then arrives as an unnamed event.
+ *               A final 'close' event carries { code, reason }.
+ * POST /:token  sends the request body as a message.
+ */
+class SseRelay extends WebSocketRelay {
+    connections = new Map() // token -> SseSocket
+
+    router (admit) {
+        return express.Router()
+            .get('/', (req, res) => {
+                let admission = admit(req)
+                if (admission.status)
+                    return res.sendStatus(admission.status)
+
+                let s = new SseSocket(res)
+                this.connections.set(s.token, s)
+                s.on('close', () => this.connections.delete(s.token))
+                this.receiveConnection(s, admission)
+            })
+            .post('/:token', rawBody, (req, res) => {
+                let s = this.connections.get(req.params.token)
+                if ( ! s )
+                    return res.sendStatus(404)
+
+                s.emit('message', bodyOf(req))
+                res.sendStatus(204)
+            })
+    }
+}
+
+/**
+ * Long polling:
+ *
+ * POST   /        opens a connection, answering { connection: token }.
+ * GET    /:token  waits for messages, answering { messages: [...] }
+ *                 as soon as there are any, or empty-handed after
+ *                 pollTimeout. Once the connection has closed, the
+ *                 answer also includes closed: { code, reason }.
+ * POST   /:token  sends the request body as a message.
+ * DELETE /:token  closes the connection.
+ *
+ * Clients which stop polling are eventually dropped by the heartbeat.
+ */
+class LongPollRelay extends WebSocketRelay {
+    connections = new Map() // token -> PollSocket
+    pollTimeout = process.env.LONG_POLL_TIMEOUT || 25000
+    maxQueue = process.env.LONG_POLL_MAX_QUEUE || 1000
+
+    router (admit) {
+        return express.Router()
+            .post('/', (req, res) => {
+                let admission = admit(req)
+                if (admission.status)
+                    return res.sendStatus(admission.status)
+
+                let s = new PollSocket(this.pollTimeout, this.maxQueue)
+                this.connections.set(s.token, s)
+                // Let the client collect the closing notice before
+                // forgetting the connection.
+                s.on('close', () => {
+                    setTimeout(() => this.connections.delete(s.token),
+                        this.pollTimeout)
+                })
+
+                if ( ! this.receiveConnection(s, admission) )
+                    return res.status(429).json({ closed: s.closed })
+
+                res.json({ connection: s.token })
+            })
+            .get('/:token', (req, res) => {
+                let s = this.connections.get(req.params.token)
+                if ( ! s )
+                    return res.sendStatus(404)
+
+                s.poll(res)
+            })
+            .post('/:token', rawBody, (req, res) => {
+                let s = this.connections.get(req.params.token)
+                if ( ! s || s.closed )
+                    return res.sendStatus(404)
+
+                s.emit('message', bodyOf(req))
+                res.sendStatus(204)
+            })
+            .delete('/:token', (req, res) => {
+                let s = this.connections.get(req.params.token)
+                if ( ! s )
+                    return res.sendStatus(404)
+
+                s.close(1000, 'Closed by client')
+                res.sendStatus(204)
+            })
+    }
+}
+
+// Stands in for a WebSocket, writing to an event stream.
+class SseSocket extends EventEmitter {
+    token = crypto.randomUUID()
+    res = null
+
+    constructor (res) {
+        super()
+        this.res = res
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            'Connection': 'keep-alive',
+            'X-Accel-Buffering': 'no'
+        })
+        res.on('close', () => this.emit('close'))
+        this.event('connection', { connection: this.token })
+    }
+
+    event (name, data) {
+        this.res.write(`event: ${name}\ndata: ${JSON.stringify(data)}\n\n`)
+    }
+
+    send (json) {
+        this.res.write(`data: ${json}\n\n`)
+    }
+
+    // Writing a comment keeps proxies from timing out the stream.
+    // A stream which is still open is as alive as TCP can tell.
+    ping () {
+        this.res.write(': ping\n\n')
+        this.emit('pong')
+    }
+
+    close (code, reason) {
+        if (this.res.writableEnded)
+            return
+        this.event('close', { code, reason })
+        this.res.end()
+    }
+
+    terminate () {
+        this.res.destroy()
+    }
+}
+
+// Stands in for a WebSocket, holding messages until they are polled for.
+class PollSocket extends EventEmitter {
+    token = crypto.randomUUID()
+    queue = [] // JSON messages awaiting collection
+    waiting = null // { res, timer } for the poll being held open
+    lastPoll = Date.now()
+    closed = null // { code, reason } once closed
+
+    constructor (pollTimeout, maxQueue) {
+        super()
+        this.pollTimeout = pollTimeout
+        this.maxQueue = maxQueue
+    }
+
+    poll (res) {
+        // Only one poll is held open at a time.
+        this.respond()
+
+        this.lastPoll = Date.now()
+        this.waiting = {
+            res,
+            timer: setTimeout(() => this.respond(), this.pollTimeout)
+        }
+        res.on('close', () => {
+            if (this.waiting?.res === res) {
+                clearTimeout(this.waiting.timer)
+                this.waiting = null
+            }
+        })
+
+        if (this.queue.length || this.closed)
+            this.respond()
+    }
+
+    // Answer the waiting poll, if any, with whatever is queued.
+    respond () {
+        if ( ! this.waiting )
+            return
+
+        let { res, timer } = this.waiting
+        clearTimeout(timer)
+        this.waiting = null
+        this.lastPoll = Date.now()
+
+        let closed = this.closed
+            ? `,"closed":${JSON.stringify(this.closed)}`
+            : ''
+        res.type('json').send(`{"messages":[${this.queue.join(',')}]`
+            + `${closed}}`)
+        this.queue = []
+    }
+
+    send (json) {
+        if (this.closed)
+            return
+
+        this.queue.push(json)
+        if (this.queue.length > this.maxQueue)
+            return this.close(1008, 'Too many uncollected messages')
+
+        this.respond()
+    }
+
+    // The client is alive if it is polling, or has polled recently.
+    ping () {
+        if (this.waiting || Date.now() - this.lastPoll < 2 * this.pollTimeout)
+            this.emit('pong')
+    }
+
+    close (code, reason) {
+        if (this.closed)
+            return
+        this.closed = { code, reason }
+        this.respond()
+        this.emit('close', code)
+    }
+
+    terminate () {
+        this.close(1006, 'Connection lost')
+    }
+}
+
+// Messages are passed to the relay as raw bytes, as a WebSocket would.
+const rawBody = express.raw({ type: () => true, limit: '1mb' })
+
+function bodyOf (req) {
+    return Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0)
+}
+
+module.exports = { SseRelay, LongPollRelay }
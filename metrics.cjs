@@ -0,0 +1,237 @@
+const { sameSecret } = require('./auth.cjs')
+
+/**
+ * Collects statistics about the server, for Prometheus to scrape as text
+ * from the route returned by router().
+ *
+ * Relays are watched with addRelay(transport, relay), which counts their
+ * sockets, listeners, broadcasts and rejected messages.
+ * Rooms are watched with watchRooms(registry), which counts the messages
+ * each room processes, times each stage of its messageProcessor,
+ * and reports its users and history.
+ *
+ * Only the rooms held by this process are reported, so in a cluster,
+ * workers report on their own sockets alone.
+ *
+ * Scrapers must present METRICS_TOKEN as 'Authorization: Bearer <token>'.
+ * Without a token, the route should not be served at all.
+ */
+class Metrics {
+    relays = new Map() // relay -> transport name
+    rooms = null
+    token = process.env.METRICS_TOKEN || null
+
+    sockets = new Gauge('chat_sockets',
+        'Open sockets, by transport.')
+    listeners = new Gauge('chat_listeners',
+        'Sockets approved to receive messages, by transport.')
+    users = new Gauge('chat_users',
+        'Identified users, by room.')
+    history = new Gauge('chat_history_messages',
+        'Messages remembered, by room.')
+    messages = new Counter('chat_messages_total',
+        'Messages processed, by event and request type.')
+    forbiddenMessages = new Counter('chat_forbidden_messages_total',
+        'Messages refused for forbidden fields, by transport and reason.')
+    stageDuration = new Histogram('chat_stage_duration_seconds',
+        'Time spent in each stage of message processing.',
+        [0.00005, 0.0001, 0.0005, 0.001, 0.005, 0.01, 0.05, 0.1, 0.5, 1])
+    fanOut = new Histogram('chat_broadcast_recipients',
+        'Sockets reached by each broadcast, by transport.',
+        [0, 1, 2, 5, 10, 20, 50, 100, 200, 500, 1000])
+
+    addRelay (transport, relay) {
+        this.relays.set(relay, transport)
+        relay.metrics = this
+        return this
+    }
+
+    watchRooms (registry) {
+        this.rooms = registry
+        registry.addPlugin(channel => {
+            let processor = channel.messageProcessor
+            // Count messages on arrival, ahead of the channel's own stages.
+            processor.insertBefore('connect', m => {
+                this.messages.inc({
+                    event: m._event ?? 'internal',
+                    request: requestType(m)
+                })
+            }).as('metrics')
+            processor.observe(({ name, index, duration }) => {
+                this.stageDuration.observe({ stage: name ?? `#${index}` },
+                    duration / 1000)
+            })
+        })
+        return this
+    }
+
+    // Called by watched relays:
+    delivered (relay, recipients) {
+        this.fanOut.observe({ transport: this.relays.get(relay) }, recipients)
+    }
+
+    forbidden (relay, code) {
+        this.forbiddenMessages.inc({
+            transport: this.relays.get(relay),
+            code
+        })
+    }
+
+    // Read the gauges, which are only worth updating when scraped.
+    collect () {
+        this.sockets.reset()
+        this.listeners.reset()
+        for (const [relay, transport] of this.relays) {
+            let listening = 0
+            for (const s of relay.sockets)
+                if (relay.socketInfo.get(s)?.canListen)
+                    listening++
+            this.sockets.set({ transport }, relay.sockets.size)
+            this.listeners.set({ transport }, listening)
+        }
+
+        this.users.reset()
+        this.history.reset()
+        for (const channel of this.rooms?.channels.values() ?? []) {
+            let room = channel.name
+            this.users.set({ room }, channel.users.sessions.size)
+            this.history.set({ room }, channel.historyStore.size)
+        }
+    }
+
+    text () {
+        this.collect()
+        return [
+            this.sockets,
+            this.listeners,
+            this.users,
+            this.history,
+            this.messages,
+            this.forbiddenMessages,
+            this.stageDuration,
+            this.fanOut
+        ].map(metric => metric.text()).join('')
+    }
+
+    router () {
+        return (req, res) => {
+            let header = req.headers.authorization
+            if ( ! this.token || ! header?.startsWith('Bearer ')
+                || ! sameSecret(header.slice('Bearer '.length), this.token) )
+                return res.status(401).send('Invalid metrics token.')
+            res.type('text/plain; version=0.0.4').send(this.text())
+        }
+    }
+}
+
+// The requests a channel understands. Clients may send any request at all,
+// so the rest are counted together, keeping the number of labels fixed.
+const requestTypes = new Set([
+    'identify', 'rename', 'history', 'search',
+    'edit', 'delete', 'react', 'unreact',
+    'ack', 'seenBy', 'typing', 'status',
+    'kick', 'mute', 'ban', 'remove'
+])
+
+function requestType (m) {
+    if (m.request === undefined)
+        return 'chat'
+    if (requestTypes.has(m.request))
+        return m.request
+    return 'other'
+}
+
+class Counter {
+    type = 'counter'
+    values = new Map() // label text -> value
+
+    constructor (name, help) {
+        this.name = name
+        this.help = help
+    }
+
+    inc (labels = {}, amount = 1) {
+        let key = labelText(labels)
+        this.values.set(key, (this.values.get(key) ?? 0) + amount)
+    }
+
+    text () {
+        let lines = [
+            `# HELP ${this.name} ${this.help}`,
+            `# TYPE ${this.name} ${this.type}`
+        ]
+        for (const [labels, value] of this.values)
+            lines.push(`${this.name}${labels} ${value}`)
+        return lines.join('\n') + '\n'
+    }
+}
+
+class Gauge extends Counter {
+    type = 'gauge'
+
+    set (labels, value) {
+        this.values.set(labelText(labels), value)
+    }
+
+    reset () {
+        this.values.clear()
+    }
+}
+
+class Histogram {
+    series = new Map() // label text -> { labels, counts, sum, count }
+
+    constructor (name, help, buckets) {
+        this.name = name
+        this.help = help
+        this.buckets = buckets
+    }
+
+    observe (labels, value) {
+        let key = labelText(labels)
+        let s = this.series.get(key)
+        if ( ! s ) {
+            s = { labels, counts: this.buckets.map(() => 0), sum: 0, count: 0 }
+            this.series.set(key, s)
+        }
+
+        this.buckets.forEach((bound, i) => {
+            if (value <= bound)
+                s.counts[i]++
+        })
+        s.sum += value
+        s.count++
+    }
+
+    text () {
+        let lines = [
+            `# HELP ${this.name} ${this.help}`,
+            `# TYPE ${this.name} histogram`
+        ]
+        for (const [key, s] of this.series) {
+            this.buckets.forEach((bound, i) => {
+                lines.push(`${this.name}_bucket`
+                    + `${labelText({ ...s.labels, le: bound })} ${s.counts[i]}`)
+            })
+            lines.push(`${this.name}_bucket`
+                + `${labelText({ ...s.labels, le: '+Inf' })} ${s.count}`)
+            lines.push(`${this.name}_sum${key} ${s.sum}`)
+            lines.push(`${this.name}_count${key} ${s.count}`)
+        }
+        return lines.join('\n') + '\n'
+    }
+}
+
+// Format labels as {name="value",...}, escaped as Prometheus requires.
+function labelText (labels) {
+    let pairs = Object.entries(labels).map(([name, value]) => {
+        let escaped = String(value)
+            .replace(/\\/g, '\\\\')
+            .replace(/"/g, '\\"')
+            .replace(/\n/g, '\\n')
+        return `${name}="${escaped}"`
+    })
+    return pairs.length ? `{${pairs.join(',')}}` : ''
+}
+
+module.exports = { Metrics }
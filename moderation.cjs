@@ -0,0 +1,162 @@
+const fs = require('node:fs')
+const path = require('node:path')
+
+// Higher ranks may moderate lower ranks, but not their peers.
+const ranks = { member: 0, moderator: 1, owner: 2 }
+
+function parseNameList (list = '') {
+    return list.split(',')
+        .map(n => n.trim().toLowerCase())
+        .filter(n => n !== '')
+}
+
+/**
+ * Holds the moderation state shared by every room: roles, bans and mutes.
+ * Each action is appended to a JSON-lines log, which is replayed on startup
+ * so that bans and mutes outlive a restart.
+ *
+ * Roles are granted to authenticated accounts by name, through the
+ * OWNERS and MODERATORS environment variables (comma-separated).
+ *
+ * Bans and mutes apply to an account when the user is authenticated,
+ * since a client may choose a new session id at will, and otherwise
+ * to the session.
+ */
+class Moderation {
+    file = process.env.MODERATION_LOG || 'moderation-log.jsonl'
+    owners = parseNameList(process.env.OWNERS)
+    moderators = parseNameList(process.env.MODERATORS)
+    bans = new Map() // userKey() or 'address:<ip>' -> expiry or Infinity
+    mutes = new Map() // '<lower-case room>:' + userKey() -> expiry
+
+    constructor (options = {}) {
+        Object.assign(this, options)
+        this.load()
+    }
+
+    load () {
+        let text = ''
+        try {
+            text = fs.readFileSync(this.file, 'utf8')
+        } catch (er) {
+            if (er.code !== 'ENOENT')
+                throw er
+        }
+
+        for (const line of text.split('\n')) {
+            if (line.trim() === '')
+                continue
+            try {
+                this.apply(JSON.parse(line))
+            } catch (er) {
+                log.err(`Skipping unreadable moderation line in ${this.file}`)
+            }
+        }
+
+        return this
+    }
+
+    // Update bans and mutes to reflect a log entry, which names its target
+    // by account and/or sessionId. Throws if it names no target at all.
+    apply (entry) {
+        let until = entry.until ?? Infinity
+        let key = userKey(entry)
+        switch (entry.action) {
+            case 'ban':
+                if (key === null && ! entry.addresses?.length)
+                    throw new Error('Ban has no account, session or address.')
+                if (key !== null)
+                    this.bans.set(key, until)
+                for (const a of entry.addresses ?? [])
+                    this.bans.set('address:' + a, until)
+                break
+            case 'mute':
+                if (key === null)
+                    throw new Error('Mute has no account or session.')
+                this.mutes.set(muteKey(entry.room, key), until)
+                break
+        }
+    }
+
+    // Apply an action and append it to the log.
+    record (entry) {
+        entry = { time: Date.now(), ...entry }
+        this.apply(entry)
+
+        fs.mkdirSync(path.dirname(this.file), { recursive: true })
+        fs.appendFileSync(this.file,
+            JSON.stringify(entry, (k, v) => v === Infinity ? null : v) + '\n')
+        log(`Moderation) ${entry.by} -> ${entry.action} `
+            + `${entry.target ?? entry.serial}`, pink)
+        return entry
+    }
+
+    roleOf (auth) {
+        let name = auth?.name?.toLowerCase()
+        if (this.owners.includes(name))
+            return 'owner'
+        if (this.moderators.includes(name))
+            return 'moderator'
+        return 'member'
+    }
+
+    // Whether the actor's role entitles it to moderate the target.
+    outranks (actor, target) {
+        return ranks[actor.role] > ranks[target?.role ?? 'member']
+    }
+
+    canModerate (actor) {
+        return ranks[actor?.role] >= ranks.moderator
+    }
+
+    // Whether a user may be banned or muted, i.e. has an account or session.
+    canTarget (user) {
+        return userKey(user) !== null
+    }
+
+    // Checks whichever of account, sessionId and address are known.
+    isBanned ({ account, sessionId, address }) {
+        if (account != null && isActive(this.bans, userKey({ account })))
+            return true
+        if (sessionId != null && isActive(this.bans, userKey({ sessionId })))
+            return true
+        if (address != null && isActive(this.bans, 'address:' + address))
+            return true
+        return false
+    }
+
+    // user is a ChatUser, or anything else with an account or sessionId.
+    isMuted (room, user) {
+        let key = userKey(user)
+        return key !== null && isActive(this.mutes, muteKey(room, key))
+    }
+}
+
+// Prefer the account, which a client cannot change at will.
+function userKey ({ account, sessionId }) {
+    if (account != null)
+        return 'user:' + String(account).toLowerCase()
+    if (sessionId != null)
+        return 'session:' + sessionId
+    return null
+}
+
+function muteKey (room, key) {
+    return String(room).toLowerCase() + ':' + key
+}
+
+// Check for an unexpired entry, discarding it if it has expired.
+function isActive (map, key) {
+    if ( ! map.has(key) )
+        return false
+
+    // Indefinite entries are logged as null.
+    let until = map.get(key) ?? Infinity
+    if (until > Date.now())
+        return true
+
+    map.delete(key)
+    return false
+}
+
+module.exports = { Moderation }
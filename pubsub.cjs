@@ -0,0 +1,286 @@
+const { EventEmitter } = require('node:events')
+const cluster = require('node:cluster')
+const net = require('node:net')
+
+/**
+ * Publish/subscribe backends, used to connect chat processes together.
+ * Every backend offers the same interface:
+ *
+ * pubsub.publish(topic, message) sends a JSON-serializable message to
+ * every subscriber of the topic, in every process, including this one.
+ *
+ * pubsub.subscribe(topic, handler) calls handler(message) for each message
+ * published to the topic, in the order it was published.
+ *
+ * pubsub.close() releases any connections.
+ */
+
+// Delivers messages within a single process.
+class LocalPubSub {
+    emitter = new EventEmitter()
+
+    publish (topic, message) {
+        // Copy the message, as a network would, and deliver it later.
+        let copy = JSON.parse(JSON.stringify(message))
+        queueMicrotask(() => this.emitter.emit(topic, copy))
+    }
+
+    subscribe (topic, handler) {
+        this.emitter.on(topic, handler)
+    }
+
+    close () {
+        this.emitter.removeAllListeners()
+    }
+}
+
+/**
+ * Delivers messages between the processes of a node:cluster, over IPC.
+ * Workers send their messages to the primary process, which delivers each
+ * one locally and forwards it to every worker, so all processes see
+ * the same order.
+ * Must be constructed in the primary before any workers are forked.
+ */
+class ClusterPubSub extends LocalPubSub {
+    constructor () {
+        super()
+
+        if (cluster.isPrimary) {
+            cluster.on('message', (worker, envelope) => {
+                if (envelope?.pubsub)
+                    this.distribute(envelope)
+            })
+        } else {
+            process.on('message', envelope => {
+                if (envelope?.pubsub)
+                    this.emitter.emit(envelope.topic, envelope.message)
+            })
+        }
+    }
+
+    publish (topic, message) {
+        let envelope = { pubsub: true, topic, message }
+        if (cluster.isPrimary)
+            this.distribute(JSON.parse(JSON.stringify(envelope)))
+        else
+            process.send(envelope)
+    }
+
+    distribute (envelope) {
+        for (const worker of Object.values(cluster.workers))
+            worker.send(envelope)
+        this.emitter.emit(envelope.topic, envelope.message)
+    }
+
+    close () {
+        super.close()
+        if (cluster.isPrimary)
+            cluster.removeAllListeners('message')
+    }
+}
+
+/**
+ * Delivers messages through a Redis server (or anything speaking the Redis
+ * protocol) using PUBLISH and SUBSCRIBE. Subscriptions need a connection
+ * of their own, so two connections are kept open.
+ *
+ * Lost connections are reopened after a delay which doubles with each
+ * failed attempt, from reconnectDelay up to maxReconnectDelay, and
+ * subscriptions are then renewed. Messages published while the
+ * publisher is disconnected are dropped.
+ *
+ * url takes the form redis://[:password@]host[:port]
+ */
+class RedisPubSub {
+    handlers = new Map() // topic -> array of handlers
+    prefix = process.env.PUBSUB_PREFIX || 'ws-chat:'
+    reconnectDelay = Number(process.env.PUBSUB_RECONNECT_DELAY) || 500
+    maxReconnectDelay = Number(process.env.PUBSUB_MAX_RECONNECT_DELAY)
+        || 30000
+    retries = new Set() // Pending reconnection timeouts
+    closed = false
+
+    constructor (url = 'redis://localhost:6379', options = {}) {
+        Object.assign(this, options)
+        let { hostname, port, password } = new URL(url)
+        this.options = {
+            host: hostname || 'localhost',
+            port: Number(port) || 6379,
+            password: decodeURIComponent(password)
+        }
+
+        this.publisher = this.connect('publisher')
+        this.subscriber = this.connect('subscriber')
+    }
+
+    // Open the connection for a role, either 'publisher' or 'subscriber',
+    // and replace it with a new one whenever it closes.
+    connect (role, delay = this.reconnectDelay) {
+        let socket = net.connect(this.options)
+        let pending = Buffer.alloc(0)
+
+        if (this.options.password)
+            socket.write(encodeCommand(['AUTH', this.options.password]))
+
+        // Subscriptions end with the connection that made them.
+        if (role === 'subscriber')
+            for (const topic of this.handlers.keys())
+                socket.write(encodeCommand(['SUBSCRIBE', this.prefix + topic]))
+
+        socket.on('connect', () => {
+            delay = this.reconnectDelay
+        })
+
+        socket.on('data', data => {
+            // The publisher's replies are of no interest.
+            if (role !== 'subscriber')
+                return
+
+            pending = Buffer.concat([pending, data])
+            try {
+                let reply
+                while ((reply = parseReply(pending))) {
+                    pending = pending.subarray(reply.next)
+                    this.deliver(reply.value)
+                }
+            } catch (er) {
+                // Once out of step with the stream, start afresh.
+                log.err(`Pub/sub protocol error: ${er.message}`)
+                socket.destroy()
+            }
+        })
+
+        socket.on('error', er => {
+            log.err(`Pub/sub connection error: ${er.message}`)
+        })
+
+        socket.on('close', () => {
+            if (this.closed)
+                return
+            log.err(`Pub/sub ${role} disconnected; `
+                + `reconnecting in ${delay} ms`)
+            let retry = setTimeout(() => {
+                this.retries.delete(retry)
+                this[role] = this.connect(role,
+                    Math.min(delay * 2, this.maxReconnectDelay))
+            }, delay)
+            this.retries.add(retry)
+        })
+
+        return socket
+    }
+
+    publish (topic, message) {
+        if (this.publisher.destroyed)
+            return log.err(`Pub/sub disconnected; dropped message for ${topic}`)
+        this.publisher.write(encodeCommand(
+            ['PUBLISH', this.prefix + topic, JSON.stringify(message)]))
+    }
+
+    subscribe (topic, handler) {
+        if ( ! this.handlers.has(topic) ) {
+            this.handlers.set(topic, [])
+            // If disconnected, the subscription is made on reconnection.
+            if ( ! this.subscriber.destroyed )
+                this.subscriber.write(encodeCommand(
+                    ['SUBSCRIBE', this.prefix + topic]))
+        }
+        this.handlers.get(topic).push(handler)
+    }
+
+    // Pushed messages take the form ['message', channel, payload].
+    // Anything else is a reply to one of our own commands.
+    deliver (reply) {
+        if (reply instanceof Error)
+            return log.err(`Pub/sub error: ${reply.message}`)
+
+        if ( ! Array.isArray(reply) || reply[0] !== 'message' )
+            return
+
+        let topic = reply[1].slice(this.prefix.length)
+        let message
+        try {
+            message = JSON.parse(reply[2])
+        } catch (er) {
+            return log.err(`Ignoring malformed pub/sub message on ${topic}`)
+        }
+        for (const handler of this.handlers.get(topic) ?? [])
+            handler(message)
+    }
+
+    close () {
+        this.closed = true
+        for (const retry of this.retries)
+            clearTimeout(retry)
+        this.retries.clear()
+        this.publisher.end()
+        this.subscriber.end()
+    }
+}
+
+// Encode a command as a RESP array of bulk strings.
+function encodeCommand (args) {
+    let parts = [`*${args.length}\r\n`]
+    for (const a of args) {
+        let s = String(a)
+        parts.push(`$${Buffer.byteLength(s)}\r\n${s}\r\n`)
+    }
+    return parts.join('')
+}
+
+// Parse one RESP value from a buffer, starting at an offset.
+// Returns { value, next }, or null if the buffer does not yet hold
+// a complete value.
+function parseReply (buffer, offset = 0) {
+    let lineEnd = buffer.indexOf('\r\n', offset)
+    if (lineEnd === -1)
+        return null
+
+    let type = String.fromCharCode(buffer[offset])
+    let line = buffer.toString('utf8', offset + 1, lineEnd)
+    let next = lineEnd + 2
+
+    switch (type) {
+        case '+':
+            return { value: line, next }
+        case '-':
+            return { value: new Error(line), next }
+        case ':':
+            return { value: Number(line), next }
+        case '$': {
+            let length = Number(line)
+            if (length === -1)
+                return { value: null, next }
+            if (buffer.length < next + length + 2)
+                return null
+            return {
+                value: buffer.toString('utf8', next, next + length),
+                next: next + length + 2
+            }
+        }
+        case '*': {
+            let count = Number(line)
+            if (count === -1)
+                return { value: null, next }
+            let values = []
+            for (let i = 0; i < count; i++) {
+                let element = parseReply(buffer, next)
+                if ( ! element )
+                    return null
+                values.push(element.value)
+                next = element.next
+            }
+            return { value: values, next }
+        }
+    }
+
+    throw new Error(`Unrecognized reply type: ${type}`)
+}
+
+module.exports = {
+    LocalPubSub,
+    ClusterPubSub,
+    RedisPubSub,
+    encodeCommand,
+    parseReply
+}
@@ -0,0 +1,144 @@
+const { commandName } = require('./slash-commands.cjs')
+
+/**
+ * Allows bursts of up to 'capacity' actions, refilling at a steady rate.
+ */
+class TokenBucket {
+    constructor (capacity, perSecond) {
+        this.capacity = capacity
+        this.perSecond = perSecond
+        this.tokens = capacity
+        this.updated = Date.now()
+    }
+
+    take (count = 1) {
+        let now = Date.now()
+        this.tokens = Math.min(this.capacity,
+            this.tokens + (now - this.updated) / 1000 * this.perSecond)
+        this.updated = now
+
+        if (this.tokens < count)
+            return false
+
+        this.tokens -= count
+        return true
+    }
+}
+
+// Stricter limits for requests which are costly or disruptive when spammed.
+// Slash commands are limited under their name with a leading slash.
+// May be overridden with REQUEST_RATE_LIMITS, e.g.
+// REQUEST_RATE_LIMITS='{"rename":{"capacity":3,"perSecond":0.1}}'
+const defaultRequestLimits = {
+    identify: { capacity: 3, perSecond: 0.1 },
+    rename: { capacity: 3, perSecond: 0.1 },
+    history: { capacity: 5, perSecond: 0.5 },
+    search: { capacity: 5, perSecond: 0.5 },
+    join: { capacity: 5, perSecond: 0.2 },
+    listRooms: { capacity: 5, perSecond: 0.5 },
+    edit: { capacity: 5, perSecond: 0.5 },
+    delete: { capacity: 5, perSecond: 0.5 },
+    react: { capacity: 10, perSecond: 1 },
+    unreact: { capacity: 10, perSecond: 1 },
+    typing: { capacity: 5, perSecond: 1 },
+    status: { capacity: 5, perSecond: 0.2 },
+    ack: { capacity: 10, perSecond: 1 },
+    seenBy: { capacity: 5, perSecond: 0.5 },
+    '/nick': { capacity: 3, perSecond: 0.1 },
+    '/history': { capacity: 5, perSecond: 0.5 },
+}
+
+/**
+ * Decides how a relay should treat each incoming message from a socket.
+ * Every message spends a token from the socket's bucket, and requests
+ * listed in requestLimits also spend one from a bucket for that type.
+ *
+ * Each message over the limit counts as a strike, and the response
+ * escalates with the number of recent strikes:
+ * 'warn' (drop the message and tell the sender),
+ * 'mute' (drop everything for a while),
+ * 'drop' (continue dropping while strikes accumulate),
+ * 'disconnect' (close the socket).
+ * Messages within the limits are 'allow'ed, unless the sender is muted.
+ */
+class FloodGuard {
+    capacity = Number(process.env.RATE_LIMIT_BURST || 10)
+    perSecond = Number(process.env.RATE_LIMIT_PER_SECOND || 2)
+    requestLimits = {
+        ...defaultRequestLimits,
+        ...JSON.parse(process.env.REQUEST_RATE_LIMITS || '{}')
+    }
+    maxMessageSize = Number(process.env.MAX_MESSAGE_SIZE || 4096) // bytes
+    muteStrikes = Number(process.env.MUTE_STRIKES || 4)
+    disconnectStrikes = Number(process.env.DISCONNECT_STRIKES || 10)
+    muteDuration = Number(process.env.FLOOD_MUTE_DURATION || 30000)
+    forgiveAfter = Number(process.env.STRIKE_FORGIVE_AFTER || 60000)
+
+    constructor (options = {}) {
+        Object.assign(this, options)
+    }
+
+    // Per-socket state, to be held by the relay.
+    createState () {
+        return {
+            bucket: new TokenBucket(this.capacity, this.perSecond),
+            requests: new Map(), // request type -> TokenBucket
+            strikes: 0,
+            lastStrike: 0,
+            mutedUntil: 0
+        }
+    }
+
+    // Check a raw message before spending any effort parsing it.
+    checkSize (state, byteLength) {
+        if (byteLength > this.maxMessageSize)
+            return this.strike(state)
+        return 'allow'
+    }
+
+    check (state, m) {
+        let within = state.bucket.take()
+        let command = commandName(m.text)
+        let type = m.request ?? (command && '/' + command)
+
+        if (within && Object.hasOwn(this.requestLimits, type)) {
+            if ( ! state.requests.has(type) ) {
+                let { capacity, perSecond } = this.requestLimits[type]
+                state.requests.set(type, new TokenBucket(capacity, perSecond))
+            }
+            within = state.requests.get(type).take()
+        }
+
+        if ( ! within )
+            return this.strike(state)
+
+        if (state.mutedUntil > Date.now())
+            return 'drop'
+
+        return 'allow'
+    }
+
+    strike (state) {
+        let now = Date.now()
+        if (now - state.lastStrike > this.forgiveAfter)
+            state.strikes = 0
+
+        state.strikes++
+        state.lastStrike = now
+
+        if (state.strikes >= this.disconnectStrikes)
+            return 'disconnect'
+
+        if (state.strikes === this.muteStrikes) {
+            state.mutedUntil = now + this.muteDuration
+            return 'mute'
+        }
+
+        if (state.strikes > this.muteStrikes)
+            return 'drop'
+
+        return 'warn'
+    }
+}
+
+module.exports = { TokenBucket, FloodGuard }
@@ -0,0 +1,132 @@
+/**
+ * Spreads one chat service across several processes, by way of a
+ * pub/sub backend (see pubsub.cjs).
+ *
+ * Exactly one process acts as the coordinator. It holds the channel
+ * (usually a ChannelRegistry) and therefore all of the chat state:
+ * user lists, name reservations, history and serial numbers, which stay
+ * consistent because only one process ever changes them.
+ *
+ * Every process holding client sockets runs an edge. To its local relay,
+ * an EdgeAdapter looks like a channel: incoming messages are published
+ * to the coordinator. To the channel, a CoordinatorAdapter looks like a
+ * relay: broadcasts, listener approvals and disconnections are published
+ * to every edge, and each edge's relay acts on those concerning its own
+ * sockets.
+ *
+ * Socket ids must be unique across all edges, so each process should
+ * number its sockets from a distinct starting point.
+ *
+ * A process may be both the coordinator and an edge.
+ */
+
+const inbound = 'inbound' // edges -> coordinator
+const outbound = 'outbound' // coordinator -> edges
+
+class EdgeAdapter {
+    relay = null
+    pubsub = null
+
+    constructor ({ pubsub, relay }) {
+        this.pubsub = pubsub
+        this.pubsub.subscribe(outbound, command => this.perform(command))
+
+        // May attach relay to adapter, or vice versa.
+        if (relay)
+            this.attachRelay(relay)
+    }
+
+    attachRelay (r) {
+        if (this.relay === r)
+            return
+        this.relay = r
+        this.relay?.setChannel?.(this)
+    }
+
+    receive (m) {
+        // The coordinator cannot ask the relay for addresses directly,
+        // so it is told each one as the socket connects.
+        if (m?._event === 'connect')
+            m = { ...m, _address: this.relay?.addressOf?.(m._sender) }
+
+        this.pubsub.publish(inbound, m)
+    }
+
+    // Carry out a relay method call published by the coordinator.
+    perform ({ method, args }) {
+        switch (method) {
+            case 'broadcast':
+            case 'approveListener':
+            case 'dismissListener':
+            case 'disconnect':
+                this.relay?.[method]?.(...args)
+                break
+            default:
+                log.err(`Edge ignoring unknown relay method: ${method}`)
+        }
+    }
+}
+
+class CoordinatorAdapter {
+    channel = null
+    pubsub = null
+    addresses = new Map() // socketId -> remote address
+
+    constructor ({ pubsub, channel }) {
+        this.pubsub = pubsub
+        this.pubsub.subscribe(inbound, m => this.deliver(m))
+
+        // May attach channel to adapter, or vice versa.
+        if (channel)
+            this.setChannel(channel)
+    }
+
+    setChannel (c) {
+        if (this.channel === c)
+            return
+        this.channel = c
+        this.channel?.attachRelay?.(this)
+    }
+
+    deliver (m) {
+        if (m?._event === 'connect') {
+            if (m._address != null)
+                this.addresses.set(m._sender, m._address)
+            delete m._address
+        }
+
+        this.channel?.receive(m)
+
+        if (m?._event === 'disconnect')
+            this.addresses.delete(m._sender)
+    }
+
+    broadcast (m) {
+        this.publish('broadcast', m)
+    }
+
+    approveListener (socketId, room) {
+        this.publish('approveListener', socketId, room)
+    }
+
+    dismissListener (socketId, room) {
+        this.publish('dismissListener', socketId, room)
+    }
+
+    disconnect (socketId, code, reason) {
+        this.publish('disconnect', socketId, code, reason)
+    }
+
+    addressOf (socketId) {
+        return this.addresses.get(socketId) ?? null
+    }
+
+    publish (method, ...args) {
+        // Omitted arguments would otherwise arrive as null.
+        while (args.length && args.at(-1) === undefined)
+            args.pop()
+        this.pubsub.publish(outbound, { method, args })
+    }
+}
+
+module.exports = { EdgeAdapter, CoordinatorAdapter }
@@ -0,0 +1,91 @@
+/**
+ * Lets several relays serve one channel at once, e.g. WebSocket clients
+ * alongside clients of the HTTP fallbacks.
+ *
+ * To its channel, a RelayGroup looks like a relay: broadcasts and listener
+ * approvals are passed to every member, each of which acts only on its
+ * own sockets.
+ * To its relays, it looks like a channel: whatever they receive is passed
+ * straight through.
+ *
+ * Socket ids must be unique across the members; relays derived from
+ * WebSocketRelay share a single sequence of ids.
+ */
+class RelayGroup {
+    channel = null
+    relays = []
+
+    constructor ({ channel, relays = [] } = {}) {
+        for (const r of relays)
+            this.add(r)
+
+        // May attach channel to group, or vice versa.
+        if (channel)
+            this.setChannel(channel)
+    }
+
+    add (relay) {
+        this.attachRelay(relay)
+        return this
+    }
+
+    // Channel-side interface, used by the relays:
+    attachRelay (r) {
+        if (this.relays.includes(r))
+            return
+        this.relays.push(r)
+        r.setChannel?.(this)
+    }
+
+    receive (m) {
+        this.channel?.receive(m)
+    }
+
+    // Relay-side interface, used by the channel:
+    setChannel (c) {
+        if (this.channel === c)
+            return
+        this.channel = c
+        this.channel?.attachRelay?.(this)
+    }
+
+    broadcast (m) {
+        for (const r of this.relays)
+            r.broadcast?.(m)
+    }
+
+    approveListener (socketId, room) {
+        for (const r of this.relays)
+            r.approveListener?.(socketId, room)
+    }
+
+    dismissListener (socketId, room) {
+        for (const r of this.relays)
+            r.dismissListener?.(socketId, room)
+    }
+
+    disconnect (socketId, code, reason) {
+        for (const r of this.relays)
+            r.disconnect?.(socketId, code, reason)
+    }
+
+    closeAll (code, reason) {
+        return Promise.all(this.relays.map(r => r.closeAll?.(code, reason)))
+    }
+
+    terminateAll () {
+        for (const r of this.relays)
+            r.terminateAll?.()
+    }
+
+    addressOf (socketId) {
+        for (const r of this.relays) {
+            let address = r.addressOf?.(socketId)
+            if (address != null)
+                return address
+        }
+        return null
+    }
+}
+
+module.exports = { RelayGroup }
@@ -0,0 +1,98 @@
+/**
+ * Clients may attach a 'requestId' (a string or number) to any message.
+ * Replies to that message carry it back as 'replyTo', along with 'ok'
+ * and, on failure, an 'error' of the form { code, message }.
+ * Failures also include the message as 'text', for display.
+ */
+
+// The error codes which may appear in replies, with their default messages.
+const errorCodes = {
+    // Sending messages
+    FORBIDDEN_FIELD: 'Messages may not contain fields beginning with _.',
+    MESSAGE_TOO_DEEP: 'Message is nested too deeply.',
+    MESSAGE_TOO_LARGE: 'Message too large.',
+    RATE_LIMITED: 'Sending too quickly.',
+    MUTED: 'You are muted.',
+    UNKNOWN_REQUEST: 'Unknown request type.',
+    INTERNAL_ERROR: 'Your message could not be processed.',
+    OVERLOADED: 'Server is busy. Your message was dropped.',
+
+    // identify and rename
+    NOT_IDENTIFIED: 'Please identify first.',
+    INVALID_NAME: 'Please specify a name.',
+    NAME_IN_USE: 'Name already in use.',
+    NAME_RESERVED: 'Name is reserved.',
+    NAME_UNCHANGED: 'You already have that name.',
+    INVALID_SESSION: 'Session ids must be non-empty strings.',
+    SESSION_IN_USE: 'That session belongs to someone else.',
+
+    // history
+    INVALID_RANGE: 'History range must be given by serial numbers.',
+    INVALID_SEARCH: 'Please give some words or a name to search for.',
+
+    // Presence
+    INVALID_STATUS: "Status must be 'online' or 'away'.",
+
+    // Direct messages
+    RECIPIENT_NOT_FOUND: 'Recipient not found.',
+
+    // Rooms
+    NO_ROOMS: 'You have not joined any rooms.',
+    NOT_IN_ROOM: 'You are not in that room.',
+    ALREADY_IN_ROOM: 'You are already in that room.',
+    ROOM_REQUIRED: 'Please specify a room.',
+    TOO_MANY_ROOMS: 'Too many rooms already exist.',
+
+    // Moderation
+    NOT_MODERATOR: 'You are not a moderator.',
+    USER_NOT_FOUND: 'User not found.',
+    INSUFFICIENT_RANK: 'You cannot moderate that user.',
+    NO_ADDRESS: 'No address is known for that user.',
+    NO_SESSION: 'No account or session is known for that user.',
+    MESSAGE_NOT_FOUND: 'Message not found.',
+
+    // Editing and deleting
+    NOT_AUTHOR: 'You may only change your own messages.',
+    INVALID_TEXT: 'Please include some text.',
+
+    // Reactions
+    INVALID_EMOJI: 'Please react with a single emoji.',
+    TOO_MANY_REACTIONS: 'That message has too many different reactions.',
+
+    // Slash commands
+    UNKNOWN_COMMAND: 'Unknown command. Type /help for a list of commands.',
+    USAGE: 'Incorrect command usage.',
+}
+
+function correlate (m) {
+    let id = m?.requestId
+    if ((typeof id === 'string' && id.length <= 64) || Number.isFinite(id))
+        return { replyTo: id }
+    return {}
+}
+
+// A failure notice addressed to the sender of m, if it has one.
+function errorReply (m, code, message = errorCodes[code]) {
+    if ( ! Object.hasOwn(errorCodes, code) )
+        throw new Error(`Unknown error code: ${code}`)
+
+    return {
+        ...(m?._sender !== undefined && { to: m._sender }),
+        ...correlate(m),
+        ok: false,
+        error: { code, message },
+        text: message
+    }
+}
+
+// A success notice for the sender of m,
+// or null if m did not ask for one by including a requestId.
+function successReply (m, fields = {}) {
+    let correlation = correlate(m)
+    if ( ! ('replyTo' in correlation) )
+        return null
+
+    return { to: m._sender, ...correlation, ok: true, ...fields }
+}
+
+module.exports = { errorCodes, errorReply, successReply }
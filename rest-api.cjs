@@ -0,0 +1,115 @@
+const express = require('express')
+const { sameSecret } = require('./auth.cjs')
+
+/**
+ * JSON endpoints exposing channel state, for dashboards and scripts:
+ *
+ * GET  /rooms                  every room, with its number of users
+ * GET  /rooms/:room            a room's details
+ * GET  /rooms/:room/users      the users in a room
+ * GET  /rooms/:room/history    messages by serial number, as with
+ *                              ChatChannel.retrieve; ?first=&last=
+ * POST /rooms/:room/messages   post { text, name } to a room.
+ *                              Without a name, it is a system notice;
+ *                              with one, it is marked as from a bot
+ *                              by an internal _bot field.
+ *
+ * Reading requires the same admission as a chat client, or the API key.
+ * Posting requires the API key, given as 'Authorization: Bearer <key>',
+ * and is disabled when no key is configured.
+ *
+ * rooms is the ChannelRegistry.
+ */
+function createApiRouter ({ rooms, admit, apiKey }) {
+    const hasApiKey = req => {
+        let header = req.headers.authorization
+        if ( ! apiKey || ! header?.startsWith('Bearer ') )
+            return false
+        return sameSecret(header.slice('Bearer '.length), apiKey)
+    }
+
+    const canRead = (req, res, next) => {
+        if (hasApiKey(req))
+            return next()
+        let admission = admit(req)
+        if (admission.status)
+            return res.status(admission.status).json({ error: 'Forbidden.' })
+        next()
+    }
+
+    const canPost = (req, res, next) => {
+        if ( ! apiKey )
+            return res.status(404).json({ error: 'Posting is not enabled.' })
+        if ( ! hasApiKey(req) )
+            return res.status(401).json({ error: 'Invalid API key.' })
+        next()
+    }
+
+    const findRoom = (req, res, next) => {
+        req.room = rooms.getRoom(req.params.room)
+        if ( ! req.room )
+            return res.status(404).json({ error: 'Room not found.' })
+        next()
+    }
+
+    return express.Router()
+        .get('/rooms', canRead, (req, res) => {
+            res.json(rooms.listRooms())
+        })
+        .get('/rooms/:room', canRead, findRoom, (req, res) => {
+            let { room } = req
+            res.json({
+                name: room.name,
+                users: room.users.sessions.size,
+                lastSerial: room.lastSerial,
+                history: room.historyStore.size,
+                maxHistory: Number(room.maxHistory),
+                // Unlimited, if null:
+                maxHistoryAge: Number(room.maxHistoryAge),
+                maxHistoryBytes: Number(room.maxHistoryBytes)
+            })
+        })
+        .get('/rooms/:room/users', canRead, findRoom, (req, res) => {
+            res.json([...req.room.users.sessions.values()].map(u => ({
+                name: u.name,
+                role: u.role,
+                status: u.status,
+                ...(u.statusText && { text: u.statusText }),
+                joined: u.joined,
+                connections: u.socketIds.size
+            })))
+        })
+        .get('/rooms/:room/history', canRead, findRoom, (req, res) => {
+            let first = Number(req.query.first ?? 0)
+            let last = Number(req.query.last ?? req.room.lastSerial)
+            if ( ! (Number.isFinite(first) && Number.isFinite(last)) )
+                return res.status(400).json({
+                    error: 'History range must be given by serial numbers.'
+                })
+
+            res.json(req.room.retrieve(first, last))
+        })
+        .post('/rooms/:room/messages', canPost, findRoom, express.json(),
+            (req, res) => {
+                let { room } = req
+                let { text, name } = req.body ?? {}
+
+                if (typeof text !== 'string' || text.trim() === '')
+                    return res.status(400).json({ error: 'Text required.' })
+                if (name !== undefined && (typeof name !== 'string'
+                        || name.trim() === ''
+                        || name.length > room.maxNameLength))
+                    return res.status(400).json({ error: 'Invalid name.' })
+
+                log(`API post to ${room.name}`
+                    + (name ? ` as ${name}` : ''), blue)
+                room.receive({
+                    ...(name !== undefined && { name, _bot: true }),
+                    text,
+                    _remember: true
+                })
+                res.status(202).json({ room: room.name })
+            })
+}
+
+module.exports = { createApiRouter }
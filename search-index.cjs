@@ -0,0 +1,98 @@
+/**
+ * An inverted index over a channel's remembered messages, kept up to date
+ * as messages are remembered, edited and discarded, so that searches
+ * need not scan the whole history.
+ *
+ * Text is indexed as lower-case words; a search matches messages
+ * containing every one of its words.
+ */
+class SearchIndex {
+    terms = new Map() // word -> Set of serials
+    entries = new Map() // serial -> { words, name, time }
+
+    add (record) {
+        if (typeof record.text !== 'string' || record._deleted)
+            return
+
+        let words = new Set(tokenize(record.text))
+        this.entries.set(record._serial, {
+            words,
+            name: typeof record.name === 'string'
+                ? record.name.toLowerCase()
+                : undefined,
+            time: record._time
+        })
+
+        for (const w of words) {
+            if ( ! this.terms.has(w) )
+                this.terms.set(w, new Set())
+            this.terms.get(w).add(record._serial)
+        }
+    }
+
+    remove (serial) {
+        let entry = this.entries.get(serial)
+        if ( ! entry )
+            return
+
+        for (const w of entry.words) {
+            let serials = this.terms.get(w)
+            serials.delete(serial)
+            if (serials.size === 0)
+                this.terms.delete(w)
+        }
+        this.entries.delete(serial)
+    }
+
+    // Forget every message before a serial, e.g. once history is trimmed.
+    removeBefore (serial) {
+        for (const s of [...this.entries.keys()])
+            if (s < serial)
+                this.remove(s)
+    }
+
+    // Find messages, newest first. All criteria are optional:
+    // text, words which must all appear;
+    // name, the author's name, ignoring case;
+    // since and until, a range of times in ms;
+    // before, a serial which results must precede, for paging.
+    // Returns { serials, total, next }, where next is the value of before
+    // which continues the search, or null if there are no more results.
+    search ({ text, name, since, until, before, limit = 20 }) {
+        let candidates = this.entries.keys()
+
+        let words = [...new Set(tokenize(text ?? ''))]
+        if (words.length) {
+            // Start from the rarest word.
+            let sets = words.map(w => this.terms.get(w) ?? new Set())
+                .sort((a, b) => a.size - b.size)
+            candidates = [...sets[0]].filter(s =>
+                sets.every(set => set.has(s)))
+        }
+
+        let lowerName = name?.toLowerCase()
+        let matches = [...candidates].filter(s => {
+            let entry = this.entries.get(s)
+            return (lowerName === undefined || entry.name === lowerName)
+                && (since === undefined || entry.time >= since)
+                && (until === undefined || entry.time <= until)
+        }).sort((a, b) => b - a)
+
+        let page = matches
+        if (before !== undefined)
+            page = page.filter(s => s < before)
+        let serials = page.slice(0, limit)
+
+        return {
+            serials,
+            total: matches.length,
+            next: page.length > limit ? serials.at(-1) : null
+        }
+    }
+}
+
+function tokenize (text) {
+    return text.toLowerCase().match(/[\p{L}\p{N}]+/gu) ?? []
+}
+
+module.exports = { SearchIndex, tokenize }
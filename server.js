@@ -4,58 +4,340 @@ if (process.env.NODE_ENV !== 'production') {
 }
 require('@bprcode/handy')
 const { WebSocketServer } = require('ws')
-const { ChatChannel, WebSocketRelay } = require('./chat-channel.cjs')
+const { WebSocketRelay } = require('./chat-channel.cjs')
+const { ChannelRegistry } = require('./channel-registry.cjs')
+const {
+    UserStore,
+    signToken,
+    verifyToken,
+    tokenFromRequest
+} = require('./auth.cjs')
+const { Moderation } = require('./moderation.cjs')
+const { ClusterPubSub, RedisPubSub } = require('./pubsub.cjs')
+const { EdgeAdapter, CoordinatorAdapter } = require('./relay-adapter.cjs')
+const { RelayGroup } = require('./relay-group.cjs')
+const { SseRelay, LongPollRelay } = require('./http-relays.cjs')
+const { createApiRouter } = require('./rest-api.cjs')
+const { Webhooks } = require('./webhooks.cjs')
+const { Metrics } = require('./metrics.cjs')
 const express = require('express')
+const cluster = require('node:cluster')
 const http = require('node:http')
 const path = require('node:path')
 
 const app = express()
-const wsServer = new WebSocketServer({ noServer: true })
+const wsServer = new WebSocketServer({
+    noServer: true,
+    // Refuse oversized frames outright, well beyond the relay's own limit.
+    maxPayload: 1024 * 1024
+})
 const wsRelay = new WebSocketRelay()
+// Fallbacks for clients unable to use WebSockets.
+const sseRelay = new SseRelay()
+const pollRelay = new LongPollRelay()
+const relays = new RelayGroup({ relays: [wsRelay, sseRelay, pollRelay] })
+const metrics = new Metrics()
+    .addRelay('websocket', wsRelay)
+    .addRelay('sse', sseRelay)
+    .addRelay('poll', pollRelay)
 const server = http.createServer(app)
-const channel = new ChatChannel({ relay: wsRelay })
+
+// Authentication is enabled by providing a secret for signing tokens.
+const authSecret = process.env.AUTH_SECRET
+const authTokenTTL = process.env.AUTH_TOKEN_TTL || 86400000
+const userStore = authSecret
+    ? new UserStore(process.env.AUTH_USERS || 'users.json')
+    : null
+// Sites other than this one whose pages may connect using a token cookie,
+// as a comma-separated list, e.g. https://chat.example.com
+const allowedOrigins = (process.env.ALLOWED_ORIGINS || '')
+    .split(',')
+    .map(origin => origin.trim())
+    .filter(Boolean)
+
+const moderation = new Moderation()
+const webhooks = new Webhooks()
+
+// To spread the load across several processes (see relay-adapter.cjs):
+// CLUSTER_WORKERS=n forks n workers to hold the sockets, while the primary
+// process holds the rooms, and serves the routes which read them on
+// ADMIN_PORT.
+// REDIS_URL links separate servers through Redis instead. Exactly one of
+// them should set COORDINATOR to hold the rooms, and each should set a
+// distinct NODE_ID to keep socket ids apart.
+const clusterWorkers = Number(process.env.CLUSTER_WORKERS || 0)
+const isClusterPrimary = cluster.isPrimary && clusterWorkers > 0
+const adminPort = process.env.ADMIN_PORT
+if (isClusterPrimary && ! adminPort) {
+    log.err('CLUSTER_WORKERS requires ADMIN_PORT, on which the primary '
+        + 'serves the REST API, incoming webhooks and metrics.')
+    process.exit(1)
+}
+const redisUrl = process.env.REDIS_URL
+const socketIdSpacing = 1e9 // Socket ids available to each process
+
+function createRooms (relay) {
+    let registry = new ChannelRegistry({
+        relay,
+        userStore,
+        moderation,
+        webhooks
+    })
+    webhooks.attach(registry)
+    metrics.watchRooms(registry)
+    return registry
+}
+
+// The rooms, if this process holds them.
+let rooms = null
+
+if (cluster.isWorker) {
+    WebSocketRelay.connectionID = cluster.worker.id * socketIdSpacing
+    new EdgeAdapter({ pubsub: new ClusterPubSub(), relay: relays })
+} else if (redisUrl) {
+    let pubsub = new RedisPubSub(redisUrl)
+    let nodeId = Number(process.env.NODE_ID
+        || Math.floor(Math.random() * 1e6) + 1)
+    WebSocketRelay.connectionID = nodeId * socketIdSpacing
+    if (process.env.COORDINATOR)
+        rooms = createRooms(new CoordinatorAdapter({ pubsub }))
+    new EdgeAdapter({ pubsub, relay: relays })
+    log(`Linked through ${redisUrl} as node ${nodeId}`
+        + (rooms ? ', coordinating' : ''), blue)
+} else if (clusterWorkers > 0) {
+    rooms = createRooms(new CoordinatorAdapter({
+        pubsub: new ClusterPubSub()
+    }))
+    announceStart()
+    for (let i = 0; i < clusterWorkers; i++)
+        cluster.fork()
+    cluster.on('exit', (worker, code) => {
+        if ( ! shuttingDown )
+            log.err(`Worker ${worker.id} exited with code ${code}`)
+    })
+    log(`Coordinating ${clusterWorkers} worker(s)`, blue)
+} else {
+    rooms = createRooms(relays)
+}
 
 app
     .disable('x-powered-by')
     .use((req, res, next) => {
-        log(`Got ${req.method} request for ${req.url}`, dim)
+        // Tokens may be carried in the query string, or as the last part
+        // of a webhook or connection path, so leave them out of the log.
+        let path = req.path.replace(/^\/(hooks|sse|poll)\/[^/]+/, '/$1/*')
+        log(`Got ${req.method} request for ${path}`, dim)
         next()
     })
-    .use(express.static('public'))
-    .get('/', (req, res, next) => {
-        log('redirecting')
-        res.redirect(process.env.HOME_PAGE)
-    })
     .get('/check', (req, res) => {
         res.send('Chat server is running.')
     })
-    .get('*', (req, res) => {
-        res.status(404).send('Resource unavailable.')
-    })
 
-server
-    .listen(process.env.PORT || 80, () => {
-        if (process.env.NODE_ENV === 'production')
-            log('Production Environment', blue)
-        else
-            log('Development Environment', pink)
-        log('🚦 ' + new Date().toLocaleString() +
-        ' Server started at:\n', green, server.address())
-        channel.receive({
-            text: moo() + ' Server started.',
-            _remember: true
+// For Prometheus, which must present METRICS_TOKEN; see metrics.cjs.
+if (metrics.token)
+    app.get('/metrics', metrics.router())
+
+// Incoming webhooks and the REST API read the rooms directly, so only
+// the process holding them can serve them. Redis-linked nodes other than
+// the COORDINATOR leave them out, while a cluster's primary serves them
+// on ADMIN_PORT, since it holds the rooms but leaves clients to its workers.
+if (rooms)
+    app
+        .use('/hooks', webhooks.router())
+        .use('/api', createApiRouter({
+            rooms,
+            admit,
+            apiKey: process.env.API_KEY
+        }))
+
+if ( ! isClusterPrimary )
+    app
+        .use(express.static('public'))
+        .get('/', (req, res, next) => {
+            log('redirecting')
+            res.redirect(process.env.HOME_PAGE)
         })
-    })
+        .use('/sse', sseRelay.router(admit))
+        .use('/poll', pollRelay.router(admit))
+        // Exchange account credentials for a signed connection token
+        .post('/auth/token', express.json(), (req, res) => {
+            if ( ! userStore )
+                return res.status(404).send('Authentication is not enabled.')
+
+            let account = userStore.verify(req.body?.name, req.body?.password)
+            if ( ! account ) {
+                log.err(`Failed sign-in attempt for ${req.body?.name}`)
+                return res.status(401).json({ error: 'Invalid credentials.' })
+            }
+
+            let expires = Date.now() + Number(authTokenTTL)
+            res.json({
+                name: account.name,
+                expires,
+                token: signToken({ name: account.name, exp: expires },
+                    authSecret)
+            })
+        })
+
+app.get('*', (req, res) => {
+    res.status(404).send('Resource unavailable.')
+})
+
+server
     .on('upgrade', (request, socket, head) => {
+        // A cluster's primary leaves sockets to its workers.
+        if (isClusterPrimary)
+            return socket.destroy()
+
         log('Socket upgrade request received', green)
+
+        let admission = admit(request)
+        if (admission.status) {
+            socket.end(`HTTP/1.1 ${admission.status} `
+                + `${http.STATUS_CODES[admission.status]}\r\n`
+                + 'Connection: close\r\n'
+                + 'Content-Length: 0\r\n\r\n')
+            return
+        }
+
         // Use the ws library to handle handshaking.
         wsServer.handleUpgrade(request, socket, head, newSocket => {
-            wsServer.emit('connection', newSocket)
+            wsServer.emit('connection', newSocket, request, admission)
         })
     })
 
+// Decide whether a client may connect, by any transport.
+// Returns { status } if it may not, or else { auth, address }.
+function admit (request) {
+    if (shuttingDown)
+        return { status: 503 }
+
+    let address = remoteAddress(request)
+
+    // Processes which do not hold the rooms only know of the bans
+    // logged before they started; the rest are enforced on identify.
+    if (moderation.isBanned({ address })) {
+        log.err('Rejecting connection -- banned address')
+        return { status: 403 }
+    }
+
+    // When authentication is enabled, only accept signed tokens
+    // belonging to accounts which still exist.
+    let auth = null
+    if (userStore) {
+        auth = verifyToken(tokenFromRequest(request, allowedOrigins),
+            authSecret)
+        if ( ! userStore.has(auth?.name) ) {
+            log.err('Rejecting connection -- missing or invalid token')
+            return { status: 401 }
+        }
+    }
+
+    return { auth, address }
+}
+
+// Behind a reverse proxy, the client's address is the first one
+// listed in X-Forwarded-For.
+function remoteAddress (request) {
+    let forwarded = request.headers['x-forwarded-for']
+    if (process.env.TRUST_PROXY && forwarded)
+        return forwarded.split(',')[0].trim()
+    return request.socket.remoteAddress
+}
+
 wsServer
-    .on('connection', (newSocket) => {
+    .on('connection', (newSocket, request, admission) => {
         // There is now a new WebSocket to welcome.
-        wsRelay.receiveConnection(newSocket)
+        wsRelay.receiveConnection(newSocket, admission)
+    })
+
+// Every process listens for clients, except a cluster's primary.
+if (isClusterPrimary) {
+    server.listen(adminPort, () => {
+        log(`Serving the API, webhooks and metrics on port ${adminPort}`,
+            green)
+    })
+} else {
+    server.listen(process.env.PORT || 80, () => {
+        if (process.env.NODE_ENV === 'production')
+            log('Production Environment', blue)
+        else
+            log('Development Environment', pink)
+        log('🚦 ' + new Date().toLocaleString() +
+        ' Server started at:\n', green, server.address())
+        announceStart()
     })
+}
+
+function announceStart () {
+    rooms?.receive({
+        text: moo() + ' Server started.',
+        _remember: true
+    })
+}
+
+// On SIGTERM or SIGINT, stop admitting clients, warn the connected ones,
+// finish processing their messages, and close their sockets with a hint
+// to reconnect. Exit regardless after SHUTDOWN_TIMEOUT.
+const shutdownTimeout = Number(process.env.SHUTDOWN_TIMEOUT || 10000)
+const reconnectDelay = Number(process.env.RECONNECT_DELAY || 5000)
+let shuttingDown = false
+
+async function shutdown (signal) {
+    if (shuttingDown)
+        return
+    shuttingDown = true
+    log(`Received ${signal} -- shutting down`, yellow)
+
+    setTimeout(() => {
+        log.err('Shutdown timed out -- closing remaining sockets')
+        relays.terminateAll()
+        process.exit(1)
+    }, shutdownTimeout).unref()
+
+    if (server.listening)
+        server.close()
+
+    // Cluster workers leave the notice to the primary, which tells them
+    // to close their sockets once it has been sent.
+    let notice = 'Server restarting. Please reconnect shortly.'
+    if (rooms)
+        await rooms.receive({ text: notice, _remember: true })
+    else if ( ! cluster.isWorker )
+        relays.broadcast({ text: notice, _time: Date.now() })
+
+    if (cluster.isPrimary && clusterWorkers > 0) {
+        let workers = Object.values(cluster.workers)
+            .filter(worker => ! worker.isDead())
+        await Promise.all(workers.map(worker =>
+            new Promise(resolve => {
+                worker.once('exit', resolve)
+                worker.send({ shutdown: signal }, er => er && resolve())
+            })))
+    }
+
+    // Close code 1012 means the service is restarting.
+    await relays.closeAll(1012,
+        `Server restarting; reconnect after ${reconnectDelay} ms`)
+    server.closeIdleConnections?.()
+    await rooms?.drain()
+
+    log('Shutdown complete', yellow)
+    process.exit(0)
+}
+
+// Signals often reach a whole cluster at once, but its workers wait to be
+// told by the primary, so that its notice reaches their clients first.
+if (cluster.isWorker) {
+    process
+        .on('SIGTERM', () => {})
+        .on('SIGINT', () => {})
+        .on('message', m => {
+            if (m?.shutdown)
+                shutdown(m.shutdown)
+        })
+} else {
+    process
+        .on('SIGTERM', shutdown)
+        .on('SIGINT', shutdown)
+}
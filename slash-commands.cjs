@@ -0,0 +1,200 @@
+const { Conveyor } = require('./conveyor.cjs')
+const { errorReply } = require('./replies.cjs')
+
+/**
+ * Interprets transmitted text of the form '/command args' on behalf of
+ * a ChatChannel. Each command is defined as one or more stages of this
+ * Conveyor, which only run for messages naming that command:
+ *
+ * commands.define('roll', {
+ *     usage: '/roll <sides>',
+ *     description: 'Roll a die.',
+ *     minArgs: 1
+ * }, function (m, end) {
+ *     this.reply(m, String(rnd(1, Number(m._args[0]))))
+ * })
+ *
+ * Stages written as plain functions are called with this SlashCommands
+ * instance as 'this', giving access to this.channel and this.reply().
+ *
+ * Before the stages run, the message is given these internal fields:
+ * m._command, the lower-case command name;
+ * m._argText, the raw text following the command name;
+ * m._args, the whitespace-separated (or "quoted") arguments;
+ * m._rest, where m._rest[i] is the raw text following argument i.
+ *
+ * Commands missing required arguments never reach their stages;
+ * the sender is shown the usage line instead.
+ */
+class SlashCommands extends Conveyor {
+    channel = null
+    commands = new Map() // name -> { name, usage, description, minArgs }
+
+    constructor (channel) {
+        super()
+        this.channel = channel
+    }
+
+    define (name, { usage, description = '', minArgs = 0 }, ...stages) {
+        name = name.toLowerCase()
+        if (this.commands.has(name))
+            throw new Error(`A command named /${name} already exists.`)
+
+        this.commands.set(name, {
+            name,
+            usage: usage ?? '/' + name,
+            description,
+            minArgs
+        })
+        for (const f of stages)
+            this.use({ _command: name }, f)
+
+        return this
+    }
+
+    // Reply privately to the sender of a command.
+    reply (m, text) {
+        this.channel.receive({ to: m._sender, text })
+    }
+
+    usageError (m) {
+        this.channel.receive(errorReply(m, 'USAGE',
+            `Usage: ${this.commands.get(m._command).usage}`))
+    }
+
+    help () {
+        return [...this.commands.values()]
+            .map(c => `${c.usage} — ${c.description}`)
+            .join('\n')
+    }
+
+    async dispatch (m) {
+        let { name, argText, args, rest } = parseCommand(m.text)
+        let command = this.commands.get(name)
+
+        if ( ! command ) {
+            this.channel.receive(errorReply(m, 'UNKNOWN_COMMAND',
+                `Unknown command: /${name}. `
+                + `Type /help for a list of commands.`))
+            return
+        }
+
+        m._command = name
+        m._argText = argText
+        m._args = args
+        m._rest = rest
+
+        if (args.length < command.minArgs)
+            return this.usageError(m)
+
+        await this.process(m)
+    }
+}
+
+// Split '/name arg "quoted arg" ...' into its parts.
+function parseCommand (text) {
+    let [, name, argText] = /^\/(\w+)\s*([\s\S]*)$/.exec(text)
+    let args = []
+    let rest = []
+
+    for (const token of argText.matchAll(/"([^"]*)"|(\S+)/g)) {
+        args.push(token[1] ?? token[2])
+        rest.push(argText.slice(token.index + token[0].length).trim())
+    }
+
+    return { name: name.toLowerCase(), argText: argText.trim(), args, rest }
+}
+
+// Return the command named at the start of some text, if any.
+function commandName (text) {
+    if (typeof text !== 'string')
+        return undefined
+    return /^\/(\w+)/.exec(text)?.[1].toLowerCase()
+}
+
+// The commands available in every channel.
+function createChatCommands (channel) {
+    let commands = new SlashCommands(channel)
+
+    // Pass a rewritten message back through the channel on the sender's
+    // behalf, so that it is handled exactly like the equivalent request.
+    const reissue = (m, fields) => {
+        channel.receive({
+            _sender: m._sender,
+            _event: 'transmit',
+            _auth: m._auth,
+            ...fields
+        })
+    }
+
+    return commands
+        .define('nick', {
+            usage: '/nick <name>',
+            description: 'Change your name.',
+            minArgs: 1
+        }, m => {
+            reissue(m, { request: 'rename', text: m._args.join(' ') })
+        })
+        .define('me', {
+            usage: '/me <action>',
+            description: 'Describe an action, e.g. /me waves.',
+            minArgs: 1
+        }, m => {
+            reissue(m, { text: m._argText, action: true })
+        })
+        .define('msg', {
+            usage: '/msg <name> <message>',
+            description: 'Send a private message. '
+                + 'Quote names containing spaces.',
+            minArgs: 2
+        }, m => {
+            reissue(m, { recipient: m._args[0], text: m._rest[0] })
+        })
+        .define('who', {
+            description: 'List the users in this room.',
+        }, m => {
+            let names = [...channel.users.sessions.values()].map(u => u.name)
+            commands.reply(m, `${names.length} user(s) in ${channel.name}: `
+                + names.join(', '))
+        })
+        .define('whois', {
+            usage: '/whois <name>',
+            description: 'Show information about a user.',
+            minArgs: 1
+        }, m => {
+            let name = m._args.join(' ')
+            let u = channel.getUser({ name })
+            if ( ! u )
+                return commands.reply(m, `No user named ${name} is here.`)
+
+            let status = u.socketIds.size
+                ? `connected on ${u.socketIds.size} socket(s)`
+                : 'reconnecting'
+            if (channel.moderation?.isMuted(channel.name, u))
+                status += ', muted'
+
+            commands.reply(m, `${u.name} is a ${u.role}, ${status}.`)
+        })
+        .define('history', {
+            usage: '/history [count]',
+            description: 'Show recent messages.',
+        }, m => {
+            let count = m._args.length ? Number(m._args[0]) : 20
+            if ( ! (Number.isInteger(count) && count > 0) )
+                return commands.usageError(m)
+
+            reissue(m, { request: 'history', limit: count })
+        })
+        .define('help', {
+            description: 'List the available commands.',
+        }, m => {
+            commands.reply(m, commands.help())
+        })
+}
+
+module.exports = {
+    SlashCommands,
+    parseCommand,
+    commandName,
+    createChatCommands
+}
@@ -0,0 +1,121 @@
+const { tempDir } = require('./helper.cjs')
+const test = require('node:test')
+const assert = require('node:assert/strict')
+const fs = require('node:fs')
+const path = require('node:path')
+const {
+    UserStore,
+    hashPassword,
+    signToken,
+    verifyToken,
+    sameSecret,
+    tokenFromRequest
+} = require('../auth.cjs')
+
+const secret = 'test secret'
+
+test('tokens are a base64url payload and signature', () => {
+    let token = signToken({ name: 'Ann', exp: Date.now() + 60000 }, secret)
+    let [body, signature, ...rest] = token.split('.')
+
+    assert.equal(rest.length, 0)
+    assert.match(body, /^[\w-]+$/)
+    assert.match(signature, /^[\w-]{43}$/)
+    assert.equal(JSON.parse(Buffer.from(body, 'base64url')).name, 'Ann')
+    assert.equal(verifyToken(token, secret).name, 'Ann')
+})
+
+test('tampered, mis-signed or expired tokens are refused', () => {
+    let token = signToken({ name: 'Ann' }, secret)
+    let [, signature] = token.split('.')
+    let forged = Buffer.from(JSON.stringify({ name: 'Eve' }))
+        .toString('base64url') + '.' + signature
+
+    assert.equal(verifyToken(forged, secret), null)
+    assert.equal(verifyToken(token, 'other secret'), null)
+    assert.equal(verifyToken(token.slice(0, -2), secret), null)
+    assert.equal(verifyToken('no signature', secret), null)
+    assert.equal(verifyToken(undefined, secret), null)
+    assert.equal(verifyToken(
+        signToken({ name: 'Ann', exp: Date.now() - 1 }, secret), secret), null)
+})
+
+test('passwords are verified against their stored hashes', () => {
+    let file = path.join(tempDir(), 'users.json')
+    let store = new UserStore(file).add('Ann', 'hunter2')
+
+    assert.equal(store.verify('ann', 'hunter2').name, 'Ann')
+    assert.equal(store.verify('Ann', 'wrong'), null)
+    assert.equal(store.verify('Bob', 'hunter2'), null)
+})
+
+test('corrupt stored hashes fail verification without throwing', () => {
+    let file = path.join(tempDir(), 'users.json')
+    let { salt } = hashPassword('hunter2')
+    fs.writeFileSync(file, JSON.stringify({ Ann: { salt, hash: 'abc123' } }))
+
+    assert.equal(new UserStore(file).verify('Ann', 'hunter2'), null)
+})
+
+function request ({ url = '/', ...headers } = {}) {
+    return { url, headers }
+}
+
+test('tokens are read from a bearer header first', () => {
+    assert.equal(tokenFromRequest(request({
+        authorization: 'Bearer abc.def',
+        cookie: 'token=ghi.jkl',
+        url: '/sse?token=mno.pqr'
+    })), 'abc.def')
+})
+
+test('tokens are read from a cookie sent by this server\'s pages', () => {
+    assert.equal(tokenFromRequest(request({
+        cookie: 'theme=dark; token=abc.def; other=1',
+        host: 'chat.test:8080',
+        origin: 'http://chat.test:8080'
+    })), 'abc.def')
+    assert.equal(tokenFromRequest(request({
+        cookie: 'token=abc.def',
+        'sec-fetch-site': 'same-origin'
+    })), 'abc.def')
+})
+
+test('cookies sent by other sites\' pages are ignored', () => {
+    let crossSite = {
+        cookie: 'token=abc.def',
+        host: 'chat.test',
+        origin: 'https://evil.test'
+    }
+    assert.equal(tokenFromRequest(request(crossSite)), null)
+    assert.equal(tokenFromRequest(request({ cookie: 'token=abc.def' })), null)
+    assert.equal(tokenFromRequest(request({ ...crossSite, origin: 'null' })),
+        null)
+    assert.equal(tokenFromRequest(request({
+        ...crossSite,
+        url: '/sse?token=ghi.jkl'
+    })), 'ghi.jkl')
+})
+
+test('cookies are accepted from allowed origins', () => {
+    let crossSite = request({
+        cookie: 'token=abc.def',
+        host: 'chat.test',
+        origin: 'https://www.chat.test'
+    })
+    assert.equal(tokenFromRequest(crossSite, ['https://www.chat.test']),
+        'abc.def')
+})
+
+test('tokens are read from the query string as a last resort', () => {
+    assert.equal(tokenFromRequest(request({ url: '/sse?token=abc.def' })),
+        'abc.def')
+    assert.equal(tokenFromRequest(request()), null)
+})
+
+test('secrets of any length and type are compared safely', () => {
+    assert.ok(sameSecret('key', 'key'))
+    assert.ok( ! sameSecret('key', 'key and more') )
+    assert.ok( ! sameSecret('', 'key') )
+    assert.ok(sameSecret(12, '12'))
+})
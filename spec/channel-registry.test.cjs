@@ -0,0 +1,168 @@
+const { chatServer, tempDir, until } = require('./helper.cjs')
+const test = require('node:test')
+const assert = require('node:assert/strict')
+const fs = require('node:fs')
+const path = require('node:path')
+const { setTimeout: sleep } = require('node:timers/promises')
+
+test('identifying joins the default room', async t => {
+    let { connect, settle, rooms } = chatServer(t)
+    let ann = connect({ name: 'Ann', sid: 'ann', requestId: 1 })
+    await settle()
+
+    assert.equal(ann.reply(1).value, 'Ann')
+    assert.equal(rooms.getRoom('lobby').getUser({ sessionId: 'ann' }).name,
+        'Ann')
+})
+
+test('joining creates rooms, within limits', async t => {
+    let { connect, settle, rooms } = chatServer(t)
+    let ann = connect({ name: 'Ann', sid: 'ann' })
+    await settle()
+
+    ann.say({ request: 'join', room: '  ', requestId: 2 })
+    ann.say({ request: 'join', room: 'Attic', requestId: 3 })
+    ann.say({ request: 'join', room: 'attic', requestId: 4 })
+    await settle()
+
+    assert.equal(ann.reply(2).error.code, 'ROOM_REQUIRED')
+    assert.equal(ann.reply(3).value, 'Ann')
+    assert.equal(ann.reply(4).error.code, 'ALREADY_IN_ROOM')
+    assert.ok(rooms.getRoom('ATTIC'))
+
+    rooms.maxRooms = 2
+    ann.say({ request: 'join', room: 'Cellar', requestId: 5 })
+    await settle()
+    assert.equal(ann.reply(5).error.code, 'TOO_MANY_ROOMS')
+    assert.equal(rooms.getRoom('Cellar'), undefined)
+})
+
+test('rooms are listed with their number of users', async t => {
+    let { connect, settle } = chatServer(t)
+    let ann = connect({ name: 'Ann', sid: 'ann' })
+    connect({ name: 'Bob', sid: 'bob' })
+    await settle()
+    ann.say({ request: 'join', room: 'Attic' })
+    await settle()
+
+    ann.say({ request: 'listRooms', requestId: 1 })
+    await settle()
+    assert.deepEqual(ann.reply(1).value, [
+        { name: 'Lobby', users: 2 },
+        { name: 'Attic', users: 1 }
+    ])
+})
+
+test('messages go to the named room, or the one joined last', async t => {
+    let { connect, settle, rooms } = chatServer(t)
+    let ann = connect({ name: 'Ann', sid: 'ann' })
+    await settle()
+    ann.say({ request: 'join', room: 'Attic' })
+    await settle()
+
+    ann.say({ text: 'up here' })
+    ann.say({ text: 'down there', room: 'lobby' })
+    ann.say({ text: 'next door', room: 'Cellar', requestId: 1 })
+    await settle()
+
+    assert.equal(rooms.getRoom('Attic').history.at(-1).text, 'up here')
+    assert.equal(rooms.getRoom('Lobby').history.at(-1).text, 'down there')
+    assert.equal(ann.reply(1).error.code, 'NOT_IN_ROOM')
+
+    // Broadcasts are tagged with their room.
+    let heard = ann.inbox.find(m => m.text === 'down there')
+    assert.equal(heard.room, 'Lobby')
+})
+
+test('rejoining a room makes it the current one again', async t => {
+    let { connect, settle, rooms } = chatServer(t)
+    let ann = connect({ name: 'Ann', sid: 'ann' })
+    await settle()
+    ann.say({ request: 'join', room: 'Attic' })
+    ann.say({ request: 'join', room: 'Lobby' })
+    await settle()
+
+    ann.say({ text: 'back downstairs' })
+    await settle()
+    assert.equal(rooms.getRoom('Lobby').history.at(-1).text,
+        'back downstairs')
+})
+
+test('leaving stops a room\'s traffic and routing', async t => {
+    let { connect, settle, rooms } = chatServer(t)
+    let ann = connect({ name: 'Ann', sid: 'ann' })
+    let bob = connect({ name: 'Bob', sid: 'bob' })
+    await settle()
+
+    ann.say({ request: 'leave', room: 'Lobby', requestId: 1 })
+    ann.say({ request: 'leave', room: 'Lobby', requestId: 2 })
+    await settle()
+    assert.equal(ann.reply(1).room, 'Lobby')
+    assert.equal(ann.reply(2).error.code, 'NOT_IN_ROOM')
+    assert.equal(rooms.getRoom('Lobby').history.at(-1).text, 'Ann left.')
+
+    ann.clear()
+    bob.say({ text: 'gone already?' })
+    ann.say({ text: 'anyone?', requestId: 3 })
+    await settle()
+    assert.ok( ! ann.inbox.some(m => m.text === 'gone already?') )
+    assert.equal(ann.reply(3).error.code, 'NO_ROOMS')
+})
+
+test('rooms everyone has left are closed unless used', async t => {
+    let { connect, settle, rooms } = chatServer(t)
+    let ann = connect({ name: 'Ann', sid: 'ann' })
+    await settle()
+
+    ann.say({ request: 'join', room: 'Attic' })
+    ann.say({ request: 'join', room: 'Cellar' })
+    await settle()
+    ann.say({ text: 'dusty down here' })
+    ann.say({ request: 'leave', room: 'Attic' })
+    ann.say({ request: 'leave', room: 'Cellar' })
+    ann.say({ request: 'leave', room: 'Lobby' })
+    await settle()
+
+    await until(() => ! rooms.getRoom('Attic'))
+    await sleep(20)
+    assert.ok(rooms.getRoom('Cellar'))
+    assert.ok(rooms.getRoom('Lobby'))
+})
+
+test('rooms are kept while a session is held', async t => {
+    let { connect, settle, rooms } = chatServer(t)
+    let ann = connect({ name: 'Ann', sid: 'ann' })
+    await settle()
+    ann.say({ request: 'join', room: 'Attic' })
+    await settle()
+
+    ann.close(1000)
+    await settle()
+    assert.ok(rooms.getRoom('Attic'))
+
+    await until(() => ! rooms.getRoom('Attic'))
+    assert.ok(rooms.getRoom('Lobby'))
+})
+
+test('closed rooms leave no history files behind', async t => {
+    let dir = tempDir()
+    process.env.HISTORY_DIR = dir
+    t.after(() => delete process.env.HISTORY_DIR)
+
+    let { connect, settle, rooms } = chatServer(t)
+    let ann = connect({ name: 'Ann', sid: 'ann' })
+    await settle()
+    ann.say({ request: 'join', room: 'Attic' })
+    await settle()
+    assert.ok(fs.existsSync(path.join(dir, 'attic.jsonl')))
+
+    ann.say({ request: 'leave', room: 'Attic' })
+    await settle()
+    await until(() => ! rooms.getRoom('Attic'))
+    assert.ok( ! fs.readdirSync(dir).some(f => f.startsWith('attic')) )
+
+    ann.say({ request: 'join', room: 'Attic', requestId: 1 })
+    await settle()
+    assert.equal(ann.reply(1).value, 'Ann')
+    assert.equal(rooms.getRoom('Attic').history.length, 1)
+})
@@ -0,0 +1,179 @@
+require('./helper.cjs')
+const test = require('node:test')
+const assert = require('node:assert/strict')
+const { Conveyor, patternMatch, compilePattern } = require('../conveyor.cjs')
+
+test('fields match identical values, wildcards and expressions', () => {
+    assert.ok(patternMatch({ request: 'history' }, { request: 'history' }))
+    assert.ok( ! patternMatch({ request: 'history' }, { request: 'edit' }) )
+    assert.ok(patternMatch({ to: '*' }, { to: 0 }))
+    assert.ok( ! patternMatch({ to: '*' }, {}) )
+    assert.ok(patternMatch({ text: /^\//u }, { text: '/help' }))
+    assert.ok( ! patternMatch({ text: /^\//u }, { text: 'help' }) )
+    assert.ok( ! patternMatch({ text: '*' }, null) )
+})
+
+test('undefined fields must be absent', () => {
+    assert.ok(patternMatch({ _ephemeral: undefined }, { text: 'hi' }))
+    assert.ok( ! patternMatch({ _ephemeral: undefined },
+        { _ephemeral: undefined }) )
+})
+
+test('nested objects are matched recursively', () => {
+    let pattern = { value: { serial: '*', name: /^A/ } }
+    assert.ok(patternMatch(pattern, { value: { serial: 1, name: 'Ann' } }))
+    assert.ok( ! patternMatch(pattern, { value: { serial: 1, name: 'Bob' } }) )
+    assert.ok( ! patternMatch(pattern, { value: 'Ann' }) )
+})
+
+test('arrays match any one of their elements', () => {
+    let pattern = { room: ['Lobby', /^help/i] }
+    assert.ok(patternMatch(pattern, { room: 'Lobby' }))
+    assert.ok(patternMatch(pattern, { room: 'Helpdesk' }))
+    assert.ok( ! patternMatch(pattern, { room: 'Other' }) )
+    assert.ok( ! patternMatch(pattern, {}) )
+    assert.ok(patternMatch({ parent: [undefined, 3] }, {}))
+    assert.ok(patternMatch({ parent: [undefined, 3] }, { parent: 3 }))
+    assert.ok( ! patternMatch({ parent: [undefined, 3] }, { parent: 4 }) )
+})
+
+test('predicates and operators test values', () => {
+    assert.ok(patternMatch({ serial: Number.isInteger }, { serial: 5 }))
+    assert.ok( ! patternMatch({ serial: Number.isInteger }, { serial: '5' }) )
+
+    let range = { serial: { $gte: 2, $lt: 5 } }
+    assert.ok(patternMatch(range, { serial: 2 }))
+    assert.ok( ! patternMatch(range, { serial: 5 }) )
+    assert.ok( ! patternMatch(range, { serial: '3' }) )
+
+    assert.ok(patternMatch({ to: { $eq: '*' } }, { to: '*' }))
+    assert.ok( ! patternMatch({ to: { $eq: '*' } }, { to: 1 }) )
+    assert.ok(patternMatch({ name: { $not: ['Ann', 'Bob'] } }, { name: 'Cy' }))
+    assert.ok( ! patternMatch({ name: { $not: 'Ann' } }, { name: 'Ann' }) )
+})
+
+test('unknown operators are refused when compiled', () => {
+    assert.throws(() => compilePattern({ serial: { $between: [1, 2] } }),
+        /Unknown pattern operator/)
+})
+
+test('compiled patterns are reused', () => {
+    let pattern = { request: 'edit' }
+    assert.equal(compilePattern(pattern), compilePattern(pattern))
+})
+
+test('stages run only for matching inputs', async () => {
+    let seen = []
+    let conveyor = new Conveyor()
+        .use({ request: 'edit', serial: { $gt: 0 } }, m => {
+            seen.push('edit ' + m.serial)
+        })
+        .use({ request: undefined }, m => {
+            seen.push('chat ' + m.text)
+        })
+
+    await conveyor.process({ request: 'edit', serial: 3 })
+    await conveyor.process({ request: 'edit', serial: 0 })
+    await conveyor.process({ text: 'hello' })
+    assert.deepEqual(seen, ['edit 3', 'chat hello'])
+})
+
+test('end() skips the remaining stages', async () => {
+    let seen = []
+    let conveyor = new Conveyor()
+        .use((m, end) => {
+            seen.push(1)
+            end()
+        })
+        .use(() => seen.push(2))
+
+    await conveyor.process({})
+    assert.deepEqual(seen, [1])
+})
+
+test('errors skip ordinary stages to reach a later catch', async () => {
+    let seen = []
+    let conveyor = new Conveyor()
+        .catch(() => seen.push('too early'))
+        .use(async () => {
+            await null
+            throw new Error('stage failed')
+        })
+        .use(() => seen.push('skipped'))
+        .catch({ request: 'other' }, () => seen.push('wrong pattern'))
+        .catch((er, m) => seen.push(`${er.message} for ${m.text}`))
+        .catch(() => seen.push('already handled'))
+
+    await conveyor.process({ text: 'hi' })
+    assert.deepEqual(seen, ['stage failed for hi'])
+})
+
+test('a catch which throws passes its error on', async () => {
+    let seen = []
+    let conveyor = new Conveyor()
+        .use(() => { throw new Error('first') })
+        .catch(() => { throw new Error('second') })
+        .catch(er => seen.push(er.message))
+
+    await conveyor.process({})
+    assert.deepEqual(seen, ['second'])
+})
+
+test('unhandled errors reject process()', async () => {
+    let conveyor = new Conveyor()
+        .use(async () => { throw new Error('nobody caught me') })
+    await assert.rejects(conveyor.process({}), /nobody caught me/)
+
+    conveyor.catch(() => { throw new Error('nor me') })
+    await assert.rejects(conveyor.process({}), /nor me/)
+})
+
+test('stages are inserted and removed by name', async () => {
+    let seen = []
+    let conveyor = new Conveyor()
+        .use(() => seen.push('a'))
+        .as('a')
+        .use(() => seen.push('c'))
+        .as('c')
+        .insertBefore('c', () => seen.push('b'))
+        .insertAfter('c', { text: 'hi' }, () => seen.push('d'))
+
+    await conveyor.process({ text: 'hi' })
+    assert.deepEqual(seen, ['a', 'b', 'c', 'd'])
+
+    seen = []
+    assert.equal(conveyor.remove('a'), true)
+    assert.equal(conveyor.remove('a'), false)
+    await conveyor.process({ text: 'bye' })
+    assert.deepEqual(seen, ['b', 'c'])
+})
+
+test('stage names must exist, and be unique', () => {
+    let conveyor = new Conveyor().use(() => {}).as('only')
+    assert.throws(() => conveyor.use(() => {}).as('only'), /already exists/)
+    assert.throws(() => conveyor.insertBefore('missing', () => {}),
+        /No stage named missing/)
+    assert.throws(() => conveyor.insertAfter('missing', () => {}),
+        /No stage named missing/)
+})
+
+test('observers are told of each stage run, and its error', async () => {
+    let reports = []
+    let failure = new Error('oops')
+    let conveyor = new Conveyor()
+        .use(() => {})
+        .as('fine')
+        .use({ text: 'never' }, () => {})
+        .use(() => { throw failure })
+        .catch(() => {})
+        .observe(report => reports.push(report))
+
+    await conveyor.process({ text: 'hi' })
+    assert.deepEqual(reports.map(r => [r.name, r.index, r.error]), [
+        ['fine', 0, null],
+        [undefined, 2, failure],
+        [undefined, 3, null]
+    ])
+    assert.ok(reports.every(r => r.duration >= 0))
+    assert.deepEqual(reports[0].input, [{ text: 'hi' }])
+})
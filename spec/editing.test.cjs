@@ -0,0 +1,122 @@
+const { chatServer, tempDir } = require('./helper.cjs')
+const test = require('node:test')
+const assert = require('node:assert/strict')
+const fs = require('node:fs')
+const path = require('node:path')
+const { Moderation } = require('../moderation.cjs')
+
+test('session ids which are not strings are refused', async t => {
+    let { connect, settle, rooms } = chatServer(t)
+    let ann = connect({ name: 'Ann', sid: { k: 'a' }, requestId: 1 })
+    let bob = connect({ name: 'Bob', sid: 5, requestId: 1 })
+    await settle()
+
+    assert.equal(ann.reply(1).error.code, 'INVALID_SESSION')
+    assert.equal(bob.reply(1).error.code, 'INVALID_SESSION')
+    assert.equal(rooms.getRoom('Lobby').users.sessions.size, 0)
+})
+
+test('another session cannot delete a message', async t => {
+    let { connect, settle, rooms } = chatServer(t)
+    let ann = connect({ name: 'Ann', sid: 'ann-session' })
+    let eve = connect({ name: 'Eve', sid: 'eve-session' })
+    await settle()
+    ann.say({ text: 'mine' })
+    await settle()
+    let serial = rooms.getRoom('Lobby').history.at(-1)._serial
+
+    eve.say({ request: 'delete', serial, requestId: 2 })
+    await settle()
+    assert.equal(eve.reply(2).error.code, 'NOT_AUTHOR')
+    assert.equal(rooms.getRoom('Lobby').history.at(-1).text, 'mine')
+})
+
+// Ann and Eve chatting, watched over by Mod, a moderator.
+async function chatters (t) {
+    let moderation = new Moderation({
+        file: path.join(tempDir(), 'moderation-log.jsonl'),
+        moderators: ['mod']
+    })
+    let server = chatServer(t, { moderation })
+    let ann = server.connect({ name: 'Ann', sid: 'ann' })
+    let eve = server.connect({ name: 'Eve', sid: 'eve' })
+    let mod = server.connect({ name: 'Mod', sid: 'mod', auth: { name: 'Mod' } })
+    await server.settle()
+
+    let lobby = server.rooms.getRoom('Lobby')
+    const post = async text => {
+        ann.say({ text })
+        await server.settle()
+        return lobby.history.at(-1)._serial
+    }
+    return { ...server, ann, eve, mod, lobby, moderation, post }
+}
+
+test('authors may edit their messages, and others may not', async t => {
+    let { ann, eve, settle, lobby, post } = await chatters(t)
+    let serial = await post('helo')
+
+    ann.say({ request: 'edit', serial, text: 'hello', requestId: 1 })
+    eve.say({ request: 'edit', serial, text: 'bye', requestId: 2 })
+    ann.say({ request: 'edit', serial, text: ' ', requestId: 3 })
+    await settle()
+
+    assert.equal(ann.reply(1).ok, true)
+    assert.equal(eve.reply(2).error.code, 'NOT_AUTHOR')
+    assert.equal(ann.reply(3).error.code, 'INVALID_TEXT')
+
+    let edited = eve.last('edited')
+    assert.equal(edited.text, 'hello')
+    assert.equal(edited._serial, serial)
+    assert.ok( ! ('_author' in edited) )
+
+    let [current] = lobby.retrieve(serial, serial)
+    assert.equal(current.text, 'hello')
+    assert.equal(typeof current._edited, 'number')
+})
+
+test('deleted messages leave a tombstone', async t => {
+    let { ann, eve, settle, lobby, post } = await chatters(t)
+    let serial = await post('oops')
+
+    ann.say({ request: 'delete', serial, requestId: 1 })
+    await settle()
+    assert.equal(ann.reply(1).ok, true)
+    assert.equal(eve.last('deleted'), serial)
+
+    let [tombstone] = lobby.retrieve(serial, serial)
+    assert.deepEqual(Object.keys(tombstone).sort(),
+        ['_deleted', '_serial', '_time'])
+
+    // A deleted message can no longer be changed.
+    ann.say({ request: 'edit', serial, text: 'again', requestId: 2 })
+    ann.say({ request: 'delete', serial, requestId: 3 })
+    ann.say({ request: 'delete', serial: 999, requestId: 4 })
+    await settle()
+    for (const id of [2, 3, 4])
+        assert.equal(ann.reply(id).error.code, 'MESSAGE_NOT_FOUND')
+})
+
+test('moderators may edit and delete any message, on the record',
+async t => {
+    let { mod, settle, lobby, post, moderation } = await chatters(t)
+    let edited = await post('spam')
+    let deleted = await post('more spam')
+
+    mod.say({ request: 'edit', serial: edited, text: '[removed]',
+        requestId: 1 })
+    mod.say({ request: 'delete', serial: deleted, reason: 'spam',
+        requestId: 2 })
+    await settle()
+
+    assert.equal(mod.reply(1).ok, true)
+    assert.equal(mod.reply(2).ok, true)
+    assert.equal(lobby.retrieve(edited, edited)[0].text, '[removed]')
+    assert.ok(lobby.retrieve(deleted, deleted)[0]._deleted)
+
+    let entries = fs.readFileSync(moderation.file, 'utf8').trim()
+        .split('\n').map(line => JSON.parse(line))
+    assert.deepEqual(entries.map(e => [e.action, e.by, e.serial]),
+        [['edit', 'Mod', edited], ['delete', 'Mod', deleted]])
+    assert.equal(entries[1].reason, 'spam')
+})
@@ -0,0 +1,84 @@
+const { chatServer, until } = require('./helper.cjs')
+const test = require('node:test')
+const assert = require('node:assert/strict')
+const { setTimeout: sleep } = require('node:timers/promises')
+
+test('sockets which stop answering pings are terminated', async t => {
+    let { relay, connect, settle, rooms } = chatServer(t)
+    relay.heartbeatInterval = 20
+    let ann = connect({ name: 'Ann', sid: 'ann' })
+    let bob = connect({ name: 'Bob', sid: 'bob' }) // Bob never answers.
+    ann.ping = () => {
+        ann.pings++
+        ann.emit('pong')
+    }
+    await settle()
+
+    await until(() => bob.closed)
+    assert.equal(bob.closed[0], 1006)
+    assert.ok(ann.pings >= 2)
+    assert.equal(ann.closed, null)
+
+    // The channel treats it as any other disconnection.
+    await settle()
+    assert.ok(rooms.getRoom('Lobby').lingering.has('bob'))
+})
+
+test('the heartbeat stops once every socket has closed', async t => {
+    let { relay, connect, settle } = chatServer(t)
+    let ann = connect({ name: 'Ann', sid: 'ann' })
+    await settle()
+    assert.notEqual(relay.heartbeat, null)
+
+    ann.close(1000)
+    assert.equal(relay.heartbeat, null)
+})
+
+test('quiet users are marked idle, and active once they speak', async t => {
+    let { relay, connect, settle, rooms } = chatServer(t)
+    relay.idleTimeout = 30
+    let ann = connect({ name: 'Ann', sid: 'ann' })
+    let bob = connect({ name: 'Bob', sid: 'bob' })
+    await settle()
+    let lobby = rooms.getRoom('Lobby')
+
+    await until(() => lobby.getUser({ sessionId: 'ann' }).status === 'idle')
+    await settle()
+    assert.equal(bob.last('status').status, 'idle')
+    assert.equal(ann.closed, null)
+
+    bob.clear()
+    ann.say({ text: 'back' })
+    await settle()
+    let statuses = bob.inbox.filter(m => m._set === 'status')
+    assert.deepEqual(statuses.at(0)?.value, { name: 'Ann', status: 'online' })
+})
+
+test('a user with one busy socket is not idle', async t => {
+    let { relay, connect, settle, rooms } = chatServer(t)
+    relay.idleTimeout = 30
+    let quiet = connect({ name: 'Ann', sid: 'ann' })
+    let busy = connect({ name: 'Ann', sid: 'ann' })
+    await settle()
+    let lobby = rooms.getRoom('Lobby')
+
+    for (let i = 0; i < 5; i++) {
+        busy.say({ request: 'typing', typing: false })
+        await sleep(10)
+    }
+    await settle()
+    assert.ok(lobby.idleSockets.size > 0)
+    assert.equal(lobby.getUser({ sessionId: 'ann' }).status, 'online')
+    assert.equal(quiet.closed, null)
+})
+
+test('with the close policy, quiet sockets are closed', async t => {
+    let { relay, connect, settle } = chatServer(t)
+    relay.idleTimeout = 30
+    relay.idlePolicy = 'close'
+    let ann = connect({ name: 'Ann', sid: 'ann' })
+    await settle()
+
+    await until(() => ann.closed)
+    assert.deepEqual(ann.closed, [1000, 'Idle timeout'])
+})
@@ -0,0 +1,128 @@
+// Install the globals the server modules expect, but keep them quiet
+// so that test output is not buried in logging.
+require('@bprcode/handy')
+
+const quiet = () => {}
+quiet.err = () => {}
+globalThis.log = quiet
+
+const fs = require('node:fs')
+const os = require('node:os')
+const path = require('node:path')
+const { EventEmitter } = require('node:events')
+
+// Make a scratch directory, removed once the process exits.
+function tempDir () {
+    let dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ws-chat-'))
+    process.on('exit', () => fs.rmSync(dir, { recursive: true, force: true }))
+    return dir
+}
+
+// Stands in for a ws WebSocket, collecting whatever is sent to it.
+class FakeSocket extends EventEmitter {
+    inbox = []
+    readyState = 1
+    closed = null // [code, reason], once closed
+    pings = 0
+
+    send (json) {
+        this.inbox.push(JSON.parse(json))
+    }
+
+    // Send a message from the client's side.
+    say (m) {
+        this.emit('message', Buffer.from(JSON.stringify(m)))
+    }
+
+    close (code, reason) {
+        if (this.closed)
+            return
+        this.closed = [code, reason]
+        this.readyState = 3
+        this.emit('close', code)
+    }
+
+    terminate () {
+        this.close(1006, '')
+    }
+
+    ping () {
+        this.pings++
+    }
+
+    // The reply to a request, found by its requestId.
+    reply (requestId) {
+        return this.inbox.find(m => m.replyTo === requestId)
+    }
+
+    // The last value received for a _set field, e.g. 'name'.
+    last (field) {
+        return this.inbox.findLast(m => m._set === field)?.value
+    }
+
+    clear () {
+        this.inbox = []
+    }
+}
+
+/**
+ * A ChannelRegistry behind a WebSocketRelay, as the server runs them,
+ * with limits generous enough not to get in the way of tests.
+ * Sockets are closed when the test ends.
+ * Options are passed to the ChannelRegistry, except for relays, which
+ * may list the relays to serve it through instead, as a RelayGroup.
+ * connect() opens sockets on the first of them.
+ */
+function chatServer (t, { relays, ...options } = {}) {
+    // Required late, so that tests may first adjust the environment.
+    const { WebSocketRelay } = require('../chat-channel.cjs')
+    const { ChannelRegistry } = require('../channel-registry.cjs')
+    const { FloodGuard } = require('../rate-limiter.cjs')
+    const { RelayGroup } = require('../relay-group.cjs')
+
+    relays ??= [new WebSocketRelay()]
+    for (const r of relays)
+        r.floodGuard = new FloodGuard({ capacity: 1e6, requestLimits: {} })
+    let relay = relays.length > 1 ? new RelayGroup({ relays }) : relays[0]
+    let rooms = new ChannelRegistry({ relay, ...options })
+
+    // Channels created later need short timers too, so that the test
+    // process need not wait for them.
+    rooms.addPlugin(channel => {
+        channel.sessionGracePeriod = 50
+        channel.typingTimeout = 50
+    })
+
+    t.after(async () => {
+        relay.terminateAll()
+        for (const r of relays)
+            r.stopHeartbeat()
+        await rooms.drain()
+        for (const c of rooms.channels.values())
+            for (const held of c.lingering.values())
+                clearTimeout(held.timeout)
+    })
+
+    // Open a socket, and optionally identify it.
+    function connect ({ auth, address, ...identify } = {}) {
+        let s = new FakeSocket()
+        relays[0].receiveConnection(s, { auth, address })
+        if (Object.keys(identify).length)
+            s.say({ request: 'identify', ...identify })
+        return s
+    }
+
+    return { relay, rooms, connect, settle: () => rooms.drain() }
+}
+
+// Poll until condition() holds, for results that arrive asynchronously.
+async function until (condition, timeout = 2000) {
+    let start = Date.now()
+    while ( ! condition() ) {
+        if (Date.now() - start > timeout)
+            throw new Error('Timed out waiting for condition.')
+        await new Promise(resolve => setTimeout(resolve, 10))
+    }
+}
+
+module.exports = { tempDir, FakeSocket, chatServer, until }
@@ -0,0 +1,131 @@
+const { tempDir } = require('./helper.cjs')
+const test = require('node:test')
+const assert = require('node:assert/strict')
+const fs = require('node:fs')
+const path = require('node:path')
+const {
+    MemoryHistoryStore,
+    JsonLinesHistoryStore
+} = require('../history-store.cjs')
+
+function record (serial) {
+    return { text: 'message ' + serial, _serial: serial, _time: serial * 1000 }
+}
+
+function fileStore (dir) {
+    return new JsonLinesHistoryStore(path.join(dir, 'room.jsonl')).load()
+}
+
+test('memory store keeps its last serial once trimmed away', () => {
+    let store = new MemoryHistoryStore()
+    for (let i = 1; i <= 3; i++)
+        store.append(record(i))
+    store.trim(0)
+    assert.equal(store.size, 0)
+    assert.equal(store.lastSerial, 3)
+    assert.equal(store.lastTimestamp, 3000)
+})
+
+test('file store restores its records', () => {
+    let dir = tempDir()
+    let store = fileStore(dir)
+    for (let i = 1; i <= 3; i++)
+        store.append(record(i))
+
+    let restored = fileStore(dir)
+    assert.deepEqual(restored.retrieve(), [record(1), record(2), record(3)])
+    assert.equal(restored.lastSerial, 3)
+})
+
+test('removing the newest record does not reuse its serial', () => {
+    let dir = tempDir()
+    let store = fileStore(dir)
+    for (let i = 1; i <= 3; i++)
+        store.append(record(i))
+    store.remove(3)
+
+    let restored = fileStore(dir)
+    assert.equal(restored.size, 2)
+    assert.equal(restored.lastSerial, 3)
+    assert.equal(restored.lastTimestamp, 3000)
+})
+
+test('trimming every record does not reset the serial', () => {
+    let dir = tempDir()
+    let store = fileStore(dir)
+    for (let i = 1; i <= 5; i++)
+        store.append(record(i))
+    store.trim(0)
+
+    let restored = fileStore(dir)
+    assert.equal(restored.size, 0)
+    assert.equal(restored.lastSerial, 5)
+})
+
+test('records appended after compaction advance the serial', () => {
+    let dir = tempDir()
+    let store = fileStore(dir)
+    store.append(record(1))
+    store.trim(0)
+    store.append(record(2))
+    store.append(record(3))
+
+    assert.equal(fileStore(dir).lastSerial, 3)
+})
+
+test('edits and removals are appended, and restored', () => {
+    let dir = tempDir()
+    let store = fileStore(dir)
+    for (let i = 1; i <= 4; i++)
+        store.append(record(i))
+    store.replace(2, { ...record(2), text: 'edited' })
+    store.remove(4)
+
+    let lines = fs.readFileSync(store.file, 'utf8').trim().split('\n')
+    assert.equal(lines.length, 6)
+    assert.deepEqual(JSON.parse(lines[5]), { _serial: 4, _removed: true })
+
+    let restored = fileStore(dir)
+    assert.deepEqual(restored.retrieve(),
+        [record(1), { ...record(2), text: 'edited' }, record(3)])
+    assert.equal(restored.lastSerial, 4)
+})
+
+test('the file is rewritten once superseded lines pile up', () => {
+    let store = fileStore(tempDir())
+    store.append(record(1))
+    store.append(record(2))
+    for (let i = 0; i < 3; i++)
+        store.replace(1, { ...record(1), text: 'edit ' + i })
+
+    let lines = fs.readFileSync(store.file, 'utf8').trim().split('\n')
+    assert.equal(lines.length, 2)
+    assert.equal(JSON.parse(lines[0]).text, 'edit 2')
+})
+
+test('read positions are written once flushed', () => {
+    let dir = tempDir()
+    let store = fileStore(dir)
+    store.append(record(1))
+    store.markRead('reader', 1, 'Ann')
+    store.markRead('reader', 1, 'Ann')
+    assert.ok( ! fs.existsSync(store.readsFile) )
+
+    store.flush()
+    assert.deepEqual(fileStore(dir).reads.get('reader'),
+        { serial: 1, name: 'Ann' })
+})
+
+test('readers of nothing still held are forgotten', () => {
+    let dir = tempDir()
+    let store = fileStore(dir)
+    for (let i = 1; i <= 4; i++)
+        store.append(record(i))
+    store.markRead('early', 1, 'Ann')
+    store.markRead('late', 3, 'Bob')
+    store.trim(2)
+    store.flush()
+
+    assert.deepEqual([...store.reads.keys()], ['late'])
+    assert.deepEqual([...fileStore(dir).reads.keys()], ['late'])
+})
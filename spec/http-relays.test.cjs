@@ -0,0 +1,174 @@
+const { chatServer, until } = require('./helper.cjs')
+const test = require('node:test')
+const assert = require('node:assert/strict')
+const http = require('node:http')
+const { once } = require('node:events')
+const express = require('express')
+const { WebSocketRelay } = require('../chat-channel.cjs')
+const { SseRelay, LongPollRelay } = require('../http-relays.cjs')
+
+const welcome = () => ({ auth: null, address: '127.0.0.1' })
+
+// A chat server reached by WebSocket, SSE and long polling alike,
+// with the fallbacks' routes mounted as server.js mounts them.
+async function fallbackServer (t, admit = welcome) {
+    let sse = new SseRelay()
+    let poll = new LongPollRelay()
+    poll.pollTimeout = 200
+    let chat = chatServer(t, { relays: [new WebSocketRelay(), sse, poll] })
+
+    let server = express()
+        .use('/sse', sse.router(admit))
+        .use('/poll', poll.router(admit))
+        .listen(0, '127.0.0.1')
+    await once(server, 'listening')
+    t.after(() => {
+        server.closeAllConnections()
+        server.close()
+    })
+
+    let base = `http://127.0.0.1:${server.address().port}`
+    return { ...chat, sse, poll, base }
+}
+
+function send (url, method = 'POST', m) {
+    return fetch(url, {
+        method,
+        headers: { 'Content-Type': 'application/json' },
+        body: m && JSON.stringify(m)
+    })
+}
+
+// Open an event stream, collecting its events as { event, data }.
+async function stream (url) {
+    let events = []
+    let req = http.get(url)
+    let [res] = await once(req, 'response')
+    if (res.statusCode !== 200) {
+        res.resume()
+        return { status: res.statusCode, events }
+    }
+
+    let buffer = ''
+    res.setEncoding('utf8').on('data', chunk => {
+        buffer += chunk
+        let blocks = buffer.split('\n\n')
+        buffer = blocks.pop()
+        for (const block of blocks) {
+            if (block.startsWith(':'))
+                continue
+            let event = /^event: (.*)$/m.exec(block)?.[1] ?? 'message'
+            let data = JSON.parse(/^data: (.*)$/m.exec(block)[1])
+            events.push({ event, data })
+        }
+    })
+    return { status: 200, events, res }
+}
+
+test('long-polling clients chat with WebSocket clients', async t => {
+    let { base, connect, settle } = await fallbackServer(t)
+    let ann = connect({ name: 'Ann', sid: 'ann' })
+
+    let { connection } = await (await send(`${base}/poll`)).json()
+    let url = `${base}/poll/${connection}`
+    let sent = await send(url, 'POST',
+        { request: 'identify', name: 'Bob', sid: 'bob' })
+    assert.equal(sent.status, 204)
+    await settle()
+
+    await send(url, 'POST', { text: 'hello, Ann' })
+    await settle()
+    assert.equal(ann.inbox.at(-1).text, 'hello, Ann')
+
+    ann.say({ text: 'hello, Bob' })
+    await settle()
+    let { messages } = await (await fetch(url)).json()
+    assert.equal(messages.find(m => m._set === 'name').value, 'Bob')
+    assert.equal(messages.at(-1).text, 'hello, Bob')
+})
+
+test('a held poll is answered as soon as a message arrives', async t => {
+    let { base, connect, settle } = await fallbackServer(t)
+    let { connection } = await (await send(`${base}/poll`)).json()
+    let url = `${base}/poll/${connection}`
+    await send(url, 'POST', { request: 'identify', name: 'Bob', sid: 'bob' })
+    await settle()
+    await fetch(url) // Collect the welcome.
+
+    let polled = fetch(url).then(res => res.json())
+    let ann = connect({ name: 'Ann', sid: 'ann' })
+    await settle()
+    ann.say({ text: 'psst' })
+
+    let { messages } = await polled
+    assert.ok(messages.length > 0)
+    let { messages: later } = await (await fetch(url)).json()
+    assert.ok([...messages, ...later].some(m => m.text === 'psst'))
+})
+
+test('polls are answered empty-handed after the poll timeout', async t => {
+    let { base, poll } = await fallbackServer(t)
+    let { connection } = await (await send(`${base}/poll`)).json()
+
+    let started = Date.now()
+    let res = await fetch(`${base}/poll/${connection}`)
+    assert.deepEqual(await res.json(), { messages: [] })
+    assert.ok(Date.now() - started >= poll.pollTimeout - 20)
+})
+
+test('closed poll connections say why, then refuse messages', async t => {
+    let { base } = await fallbackServer(t)
+    let { connection } = await (await send(`${base}/poll`)).json()
+    let url = `${base}/poll/${connection}`
+
+    assert.equal((await send(url, 'DELETE')).status, 204)
+    let { closed } = await (await fetch(url)).json()
+    assert.deepEqual(closed, { code: 1000, reason: 'Closed by client' })
+    assert.equal((await send(url, 'POST', { text: 'hi' })).status, 404)
+    assert.equal((await fetch(`${base}/poll/nonsense`)).status, 404)
+})
+
+test('event streams carry a connection token, then messages', async t => {
+    let { base, connect, settle, sse } = await fallbackServer(t)
+    let ann = connect({ name: 'Ann', sid: 'ann' })
+    let { events } = await stream(`${base}/sse`)
+    await until(() => events.length === 1)
+    assert.equal(events[0].event, 'connection')
+
+    let url = `${base}/sse/${events[0].data.connection}`
+    await send(url, 'POST', { request: 'identify', name: 'Bob', sid: 'bob' })
+    await settle()
+    ann.say({ text: 'hello, Bob' })
+    await settle()
+    await until(() => events.some(e => e.data.text === 'hello, Bob'))
+
+    await send(url, 'POST', { text: 'hello, Ann' })
+    await settle()
+    assert.equal(ann.inbox.at(-1).text, 'hello, Ann')
+
+    await sse.closeAll(1001, 'Going away')
+    await until(() => events.at(-1).event === 'close')
+    assert.deepEqual(events.at(-1).data, { code: 1001, reason: 'Going away' })
+    assert.equal((await send(url, 'POST', { text: 'hi' })).status, 404)
+})
+
+test('the fallbacks apply the same checks as WebSockets', async t => {
+    let { base, settle } = await fallbackServer(t)
+    let { connection } = await (await send(`${base}/poll`)).json()
+    let url = `${base}/poll/${connection}`
+
+    await send(url, 'POST', { request: 'identify', name: 'Bob', sid: 'bob' })
+    await settle()
+    await send(url, 'POST', { text: 'hi', _bot: true, requestId: 1 })
+    await settle()
+
+    let { messages } = await (await fetch(url)).json()
+    let reply = messages.find(m => m.replyTo === 1)
+    assert.equal(reply.error.code, 'FORBIDDEN_FIELD')
+})
+
+test('connections are refused as admit() decides', async t => {
+    let { base } = await fallbackServer(t, () => ({ status: 401 }))
+    assert.equal((await stream(`${base}/sse`)).status, 401)
+    assert.equal((await send(`${base}/poll`)).status, 401)
+})
@@ -0,0 +1,94 @@
+const { chatServer } = require('./helper.cjs')
+const test = require('node:test')
+const assert = require('node:assert/strict')
+const { setTimeout: sleep } = require('node:timers/promises')
+
+// A chat server whose rooms hold each chat message in an extra stage
+// until hold(m) resolves.
+function heldServer (t, hold) {
+    let server = chatServer(t)
+    server.rooms.addPlugin(channel => channel.messageProcessor
+        .insertBefore('author', { _event: 'transmit', text: '*' }, hold))
+    return server
+}
+
+test('messages are processed one at a time, in the order received',
+async t => {
+    let { connect, settle, rooms } = heldServer(t,
+        m => sleep(Number(m.text)))
+    let ann = connect({ name: 'Ann', sid: 'ann' })
+    await settle()
+
+    for (const delay of ['30', '0', '15', '5'])
+        ann.say({ text: delay })
+    await settle()
+
+    let said = rooms.getRoom('Lobby').history.filter(r => r.name === 'Ann')
+    assert.deepEqual(said.map(r => r.text), ['30', '0', '15', '5'])
+    assert.ok(said.every((r, i) => i === 0 || r._serial > said[i-1]._serial))
+})
+
+test('chat is turned away once the queue is full', async t => {
+    let release
+    let gate = new Promise(resolve => { release = resolve })
+    let { connect, settle, rooms } = heldServer(t, () => gate)
+    let lobby = rooms.getRoom('Lobby')
+    let ann = connect({ name: 'Ann', sid: 'ann' })
+    await settle()
+
+    lobby.maxQueue = 2
+    for (const requestId of [1, 2, 3])
+        ann.say({ text: `message ${requestId}`, requestId })
+    await sleep(10)
+
+    let overloaded = ann.reply(3)
+    assert.equal(overloaded.error.code, 'OVERLOADED')
+    assert.equal(overloaded.room, 'Lobby')
+    assert.equal(ann.reply(1), undefined)
+
+    // Events are still accepted, so that the room stays consistent.
+    let leaving = lobby.receive({ _sender: 99, _event: 'leave' })
+    assert.equal(lobby.queueLength, 3)
+
+    release()
+    assert.equal(await leaving, true)
+    await settle()
+    let said = lobby.history.filter(r => r.name === 'Ann')
+    assert.deepEqual(said.map(r => r.text), ['message 1', 'message 2'])
+    assert.equal(lobby.queueLength, 0)
+})
+
+test('receive() resolves once a message has been processed', async t => {
+    let { rooms } = chatServer(t)
+    let lobby = rooms.getRoom('Lobby')
+
+    let done = lobby.receive({ text: 'Notice', _remember: true })
+    assert.equal(lobby.history.length, 0)
+    assert.equal(await done, true)
+    assert.equal(lobby.history.at(-1).text, 'Notice')
+})
+
+test('receive() resolves false for dropped or failed messages', async t => {
+    let { connect, settle, rooms } = chatServer(t)
+    let lobby = rooms.getRoom('Lobby')
+    let ann = connect({ name: 'Ann', sid: 'ann' })
+    await settle()
+
+    lobby.maxQueue = 0
+    assert.equal(await lobby.receive({ _sender: 0, _event: 'transmit' }),
+        false)
+    lobby.maxQueue = 10
+
+    // Without its error stage, a failing stage goes unhandled,
+    // but the messages after it are still processed.
+    lobby.messageProcessor.remove('error')
+    lobby.messageProcessor.insertBefore('author', { text: 'boom' }, () => {
+        throw new Error('boom')
+    })
+    let failed = lobby.receive({ text: 'boom', _remember: true })
+    let after = lobby.receive({ text: 'after', _remember: true })
+    assert.equal(await failed, false)
+    assert.equal(await after, true)
+    assert.equal(lobby.history.at(-1).text, 'after')
+    assert.equal(ann.inbox.at(-1).text, 'after')
+})
@@ -0,0 +1,107 @@
+const { chatServer } = require('./helper.cjs')
+const test = require('node:test')
+const assert = require('node:assert/strict')
+const { once } = require('node:events')
+const express = require('express')
+const { Metrics } = require('../metrics.cjs')
+
+// A chat server watched by Metrics, with Ann and Bob in the Lobby.
+async function watched (t) {
+    let chat = chatServer(t)
+    let metrics = new Metrics()
+        .addRelay('websocket', chat.relay)
+        .watchRooms(chat.rooms)
+    let ann = chat.connect({ name: 'Ann', sid: 'ann' })
+    let bob = chat.connect({ name: 'Bob', sid: 'bob' })
+    await chat.settle()
+    return { ...chat, metrics, ann, bob }
+}
+
+// The value of one sample in the text format, e.g. 'chat_users{room="x"}'.
+function sample (text, series) {
+    let line = text.split('\n').find(l => l.startsWith(series + ' '))
+    return line && Number(line.slice(series.length + 1))
+}
+
+test('sockets, users and history are reported when scraped', async t => {
+    let { metrics, ann, settle, rooms } = await watched(t)
+    ann.say({ text: 'hello' })
+    await settle()
+
+    let text = metrics.text()
+    assert.match(text, /^# HELP chat_sockets Open sockets, by transport\.$/m)
+    assert.match(text, /^# TYPE chat_sockets gauge$/m)
+    assert.equal(sample(text, 'chat_sockets{transport="websocket"}'), 2)
+    assert.equal(sample(text, 'chat_listeners{transport="websocket"}'), 2)
+    assert.equal(sample(text, 'chat_users{room="Lobby"}'), 2)
+    assert.equal(sample(text, 'chat_history_messages{room="Lobby"}'),
+        rooms.getRoom('Lobby').historyStore.size)
+})
+
+test('messages are counted by event and request type', async t => {
+    let { metrics, ann, settle } = await watched(t)
+    ann.say({ text: 'hello' })
+    ann.say({ request: 'typing' })
+    ann.say({ request: 'dance' })
+    ann.say({ text: 'sneaky', _name: 'Bob' })
+    await settle()
+
+    let text = metrics.text()
+    let count = labels => sample(text, `chat_messages_total{${labels}}`)
+    assert.equal(count('event="transmit",request="chat"'), 1)
+    assert.equal(count('event="transmit",request="identify"'), 2)
+    assert.equal(count('event="transmit",request="typing"'), 1)
+    assert.equal(count('event="transmit",request="other"'), 1)
+    assert.equal(sample(text, 'chat_forbidden_messages_total'
+        + '{transport="websocket",code="FORBIDDEN_FIELD"}'), 1)
+})
+
+test('histograms count each observation into its buckets', async t => {
+    let { metrics } = await watched(t)
+    let text = metrics.text()
+    let series = 'chat_stage_duration_seconds'
+    let count = sample(text, `${series}_count{stage="identify"}`)
+    assert.equal(count, 2)
+    assert.equal(sample(text, `${series}_bucket{stage="identify",le="+Inf"}`),
+        count)
+
+    let buckets = metrics.stageDuration.buckets.map(le =>
+        sample(text, `${series}_bucket{stage="identify",le="${le}"}`))
+    assert.deepEqual(buckets, [...buckets].sort((a, b) => a - b))
+    assert.ok(sample(text, `${series}_sum{stage="identify"}`) >= 0)
+
+    assert.ok(sample(text,
+        'chat_broadcast_recipients_count{transport="websocket"}') > 0)
+})
+
+test('label values are escaped', () => {
+    let metrics = new Metrics()
+    metrics.messages.inc({ request: 'say "hi"\\\n' })
+    assert.match(metrics.text(),
+        /^chat_messages_total\{request="say \\"hi\\"\\\\\\n"\} 1$/m)
+})
+
+test('scrapers must present the token', async t => {
+    let metrics = new Metrics()
+    metrics.token = null
+    let server = express()
+        .get('/metrics', (req, res) => metrics.router()(req, res))
+        .listen(0, '127.0.0.1')
+    await once(server, 'listening')
+    t.after(() => server.close())
+
+    let url = `http://127.0.0.1:${server.address().port}/metrics`
+    let scrape = token => fetch(url, {
+        headers: token ? { Authorization: `Bearer ${token}` } : {}
+    })
+
+    assert.equal((await scrape('anything')).status, 401)
+    metrics.token = 'secret'
+    assert.equal((await scrape()).status, 401)
+    assert.equal((await scrape('wrong')).status, 401)
+
+    let res = await scrape('secret')
+    assert.equal(res.status, 200)
+    assert.match(res.headers.get('content-type'), /^text\/plain/)
+    assert.match(await res.text(), /^# HELP chat_sockets/)
+})
@@ -0,0 +1,54 @@
+const { tempDir } = require('./helper.cjs')
+const test = require('node:test')
+const assert = require('node:assert/strict')
+const path = require('node:path')
+const { Moderation } = require('../moderation.cjs')
+
+function moderation (dir = tempDir()) {
+    return new Moderation({ file: path.join(dir, 'moderation-log.jsonl') })
+}
+
+test('bans on an account apply to every session', () => {
+    let m = moderation()
+    m.record({ action: 'ban', account: 'Mallory', sessionId: 'first' })
+
+    assert.ok(m.isBanned({ account: 'mallory', sessionId: 'second' }))
+    assert.ok( ! m.isBanned({ sessionId: 'first' }) )
+})
+
+test('bans on an anonymous session apply to that session', () => {
+    let m = moderation()
+    m.record({ action: 'ban', sessionId: 'first' })
+
+    assert.ok(m.isBanned({ sessionId: 'first' }))
+    assert.ok( ! m.isBanned({ sessionId: 'second' }) )
+})
+
+test('mutes on an account apply to every session, in one room', () => {
+    let m = moderation()
+    m.record({ action: 'mute', room: 'Lobby', account: 'Mallory',
+        sessionId: 'first', until: Date.now() + 60000 })
+
+    assert.ok(m.isMuted('lobby', { account: 'MALLORY', sessionId: 'second' }))
+    assert.ok( ! m.isMuted('Other', { account: 'Mallory' }) )
+})
+
+test('actions without a target are refused', () => {
+    let m = moderation()
+    assert.throws(() => m.record({ action: 'mute', room: 'Lobby' }))
+    assert.throws(() => m.record({ action: 'ban', sessionId: null }))
+    assert.ok( ! m.isMuted('Lobby', { sessionId: null }) )
+    assert.ok( ! m.canTarget({ sessionId: null, account: null }) )
+})
+
+test('bans and mutes outlive a restart', () => {
+    let dir = tempDir()
+    let m = moderation(dir)
+    m.record({ action: 'ban', account: 'Mallory' })
+    m.record({ action: 'mute', room: 'Lobby', sessionId: 'anon',
+        until: Date.now() + 60000 })
+
+    let restored = moderation(dir)
+    assert.ok(restored.isBanned({ account: 'Mallory' }))
+    assert.ok(restored.isMuted('Lobby', { sessionId: 'anon' }))
+})
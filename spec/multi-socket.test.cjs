@@ -0,0 +1,65 @@
+const { chatServer, until } = require('./helper.cjs')
+const test = require('node:test')
+const assert = require('node:assert/strict')
+
+// Ann with two tabs open, and Bob with one.
+async function twoTabs (t) {
+    let server = chatServer(t)
+    let { connect, settle } = server
+    let tabs = [
+        connect({ name: 'Ann', sid: 'ann' }),
+        connect({ name: 'Ann', sid: 'ann' })
+    ]
+    let bob = connect({ name: 'Bob', sid: 'bob' })
+    await settle()
+    return { ...server, tabs, bob, lobby: server.rooms.getRoom('Lobby') }
+}
+
+test('sockets sharing a session are one user', async t => {
+    let { tabs, lobby, bob } = await twoTabs(t)
+    let ann = lobby.getUser({ sessionId: 'ann' })
+    assert.equal(ann.socketIds.size, 2)
+    assert.deepEqual(bob.last('users'), ['Ann', 'Bob'])
+    for (const tab of tabs)
+        assert.equal(tab.last('name'), 'Ann')
+})
+
+test('direct messages reach every socket of both users', async t => {
+    let { tabs, bob, settle } = await twoTabs(t)
+    bob.say({ recipient: 'ann', text: 'psst', requestId: 1 })
+    await settle()
+
+    for (const s of [...tabs, bob])
+        assert.equal(s.inbox.findLast(m => m.text === 'psst').name,
+            'Bob → Ann')
+    assert.equal(bob.reply(1).ok, true)
+})
+
+test('renames reach every one of the user\'s sockets', async t => {
+    let { tabs, settle, lobby } = await twoTabs(t)
+    tabs[0].say({ request: 'rename', text: 'Annie' })
+    await settle()
+
+    for (const tab of tabs)
+        assert.equal(tab.last('name'), 'Annie')
+    assert.equal(lobby.getUser({ sessionId: 'ann' }).name, 'Annie')
+})
+
+test('users leave the list only once their last socket closes',
+async t => {
+    let { tabs, bob, settle, lobby } = await twoTabs(t)
+    tabs[0].close(1000)
+    await settle()
+    assert.deepEqual(bob.last('users'), ['Ann', 'Bob'])
+    assert.ok( ! lobby.lingering.has('ann') )
+
+    // The remaining tab still hears the room.
+    bob.say({ text: 'still there?' })
+    await settle()
+    assert.equal(tabs[1].inbox.at(-1).text, 'still there?')
+
+    tabs[1].close(1000)
+    await until(() => lobby.history.at(-1).text === 'Ann disconnected.')
+    await settle()
+    assert.deepEqual(bob.last('users'), ['Bob'])
+})
@@ -0,0 +1,85 @@
+const { chatServer, until } = require('./helper.cjs')
+const test = require('node:test')
+const assert = require('node:assert/strict')
+
+async function chatters (t) {
+    let server = chatServer(t)
+    let ann = server.connect({ name: 'Ann', sid: 'ann' })
+    let bob = server.connect({ name: 'Bob', sid: 'bob' })
+    await server.settle()
+    bob.clear()
+    return { ...server, ann, bob, lobby: server.rooms.getRoom('Lobby') }
+}
+
+const typingOf = s => s.inbox.filter(m => m._set === 'typing')
+    .map(m => m.value)
+
+test('typing is announced once, until it stops', async t => {
+    let { ann, bob, settle, lobby } = await chatters(t)
+    let remembered = lobby.history.length
+    ann.say({ request: 'typing', typing: true })
+    ann.say({ request: 'typing' })
+    await settle()
+    assert.deepEqual(typingOf(bob), [{ name: 'Ann', typing: true }])
+    assert.ok( ! ('_time' in bob.inbox.at(-1)) )
+
+    ann.say({ request: 'typing', typing: false })
+    await settle()
+    assert.deepEqual(typingOf(bob).at(-1), { name: 'Ann', typing: false })
+    assert.equal(lobby.history.length, remembered)
+})
+
+test('typing stops by itself, or once the message is sent', async t => {
+    let { ann, bob, settle } = await chatters(t)
+    ann.say({ request: 'typing' })
+    await settle()
+    await until(() => typingOf(bob).length === 2)
+    assert.equal(typingOf(bob)[1].typing, false)
+
+    bob.clear()
+    ann.say({ request: 'typing' })
+    ann.say({ text: 'done' })
+    await settle()
+    assert.deepEqual(typingOf(bob).map(v => v.typing), [true, false])
+})
+
+test('statuses are announced, with their text', async t => {
+    let { ann, bob, settle, lobby } = await chatters(t)
+    lobby.maxStatusLength = 10
+    ann.say({ request: 'status', status: 'away',
+        text: ' out to lunch, back soon ', requestId: 1 })
+    await settle()
+
+    let expected = { name: 'Ann', status: 'away', text: 'out to lun' }
+    assert.deepEqual(ann.reply(1).value, expected)
+    assert.deepEqual(bob.last('status'), expected)
+
+    // Leaving out the text keeps it; an empty one clears it.
+    ann.say({ request: 'status', status: 'online' })
+    await settle()
+    assert.equal(bob.last('status').text, 'out to lun')
+    ann.say({ request: 'status', text: '' })
+    await settle()
+    assert.deepEqual(bob.last('status'), { name: 'Ann', status: 'online' })
+})
+
+test('users who are away stay so, even when idle', async t => {
+    let { ann, bob, connect, settle, lobby } = await chatters(t)
+    ann.say({ request: 'status', status: 'away' })
+    bob.say({ request: 'status', status: 'busy', requestId: 1 })
+    await settle()
+    assert.equal(bob.reply(1).error.code, 'INVALID_STATUS')
+
+    let user = lobby.getUser({ sessionId: 'ann' })
+    for (const id of user.socketIds)
+        lobby.idleSockets.add(id)
+    lobby.refreshStatus(user)
+    assert.equal(user.status, 'away')
+
+    // Newcomers see the status in the list of users.
+    let cy = connect({ name: 'Cy', sid: 'cy' })
+    await settle()
+    let { users } = cy.inbox.findLast(m => m._set === 'users')
+    assert.deepEqual(users.map(u => [u.name, u.status]),
+        [['Ann', 'away'], ['Bob', 'online'], ['Cy', 'online']])
+})
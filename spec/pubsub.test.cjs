@@ -0,0 +1,139 @@
+const { until } = require('./helper.cjs')
+const test = require('node:test')
+const assert = require('node:assert/strict')
+const net = require('node:net')
+const { once } = require('node:events')
+const {
+    RedisPubSub,
+    encodeCommand,
+    parseReply
+} = require('../pubsub.cjs')
+
+test('commands are encoded as arrays of bulk strings', () => {
+    assert.equal(encodeCommand(['PUBLISH', 't', 'héllo']),
+        '*3\r\n$7\r\nPUBLISH\r\n$1\r\nt\r\n$6\r\nhéllo\r\n')
+})
+
+test('replies of each type are parsed', () => {
+    let parse = text => parseReply(Buffer.from(text))?.value
+
+    assert.equal(parse('+OK\r\n'), 'OK')
+    assert.equal(parse(':42\r\n'), 42)
+    assert.equal(parse('$5\r\nhello\r\n'), 'hello')
+    assert.equal(parse('$-1\r\n'), null)
+    assert.equal(parse('*-1\r\n'), null)
+
+    let error = parse('-ERR wrong\r\n')
+    assert.ok(error instanceof Error)
+    assert.equal(error.message, 'ERR wrong')
+
+    assert.deepEqual(parse('*3\r\n$7\r\nmessage\r\n$1\r\nt\r\n*1\r\n:1\r\n'),
+        ['message', 't', [1]])
+})
+
+test('incomplete replies are left for more data', () => {
+    let whole = Buffer.from('*2\r\n$5\r\nhello\r\n$5\r\nworld\r\n')
+    for (let i = 0; i < whole.length; i++)
+        assert.equal(parseReply(whole.subarray(0, i)), null)
+
+    let twice = Buffer.concat([whole, whole])
+    let first = parseReply(twice)
+    assert.equal(first.next, whole.length)
+    assert.deepEqual(parseReply(twice, first.next).value, ['hello', 'world'])
+})
+
+test('unknown reply types are rejected', () => {
+    assert.throws(() => parseReply(Buffer.from('?what\r\n')))
+})
+
+// A Redis stand-in, handling only SUBSCRIBE and PUBLISH.
+async function fakeRedis () {
+    let subscribers = new Map() // channel -> set of connections
+    let connections = new Set()
+
+    let server = net.createServer(c => {
+        let pending = Buffer.alloc(0)
+        connections.add(c)
+        c.on('close', () => {
+            connections.delete(c)
+            for (const set of subscribers.values())
+                set.delete(c)
+        })
+        c.on('data', data => {
+            pending = Buffer.concat([pending, data])
+            let request
+            while ((request = parseReply(pending))) {
+                pending = pending.subarray(request.next)
+                let [command, channel, payload] = request.value
+                if (command === 'SUBSCRIBE') {
+                    if ( ! subscribers.has(channel) )
+                        subscribers.set(channel, new Set())
+                    subscribers.get(channel).add(c)
+                    c.write(encodeCommand(['subscribe', channel]))
+                } else if (command === 'PUBLISH') {
+                    server.push(channel, payload)
+                    c.write(`:${subscribers.get(channel)?.size ?? 0}\r\n`)
+                }
+            }
+        })
+    })
+
+    server.push = (channel, payload) => {
+        for (const s of subscribers.get(channel) ?? [])
+            s.write(encodeCommand(['message', channel, payload]))
+    }
+    server.subscriberCount = channel => subscribers.get(channel)?.size ?? 0
+    server.dropConnections = () => {
+        for (const c of connections)
+            c.destroy()
+    }
+
+    server.listen(0, '127.0.0.1')
+    await once(server, 'listening')
+    return server
+}
+
+async function connectedPair (t) {
+    let server = await fakeRedis()
+    let pubsub = new RedisPubSub(
+        `redis://127.0.0.1:${server.address().port}`,
+        { reconnectDelay: 10, maxReconnectDelay: 50 })
+    let received = []
+    pubsub.subscribe('room', m => received.push(m))
+    await until(() => server.subscriberCount('ws-chat:room') === 1)
+
+    t.after(() => {
+        pubsub.close()
+        server.close()
+    })
+    return { server, pubsub, received }
+}
+
+test('published messages reach subscribers', async t => {
+    let { pubsub, received } = await connectedPair(t)
+    pubsub.publish('room', { text: 'hello' })
+    await until(() => received.length === 1)
+    assert.deepEqual(received, [{ text: 'hello' }])
+})
+
+test('malformed messages are skipped', async t => {
+    let { server, pubsub, received } = await connectedPair(t)
+    server.push('ws-chat:room', '{ not json')
+    pubsub.publish('room', { text: 'after' })
+    await until(() => received.length === 1)
+    assert.deepEqual(received, [{ text: 'after' }])
+})
+
+test('lost connections are reopened and resubscribed', async t => {
+    let { server, pubsub, received } = await connectedPair(t)
+    let { publisher, subscriber } = pubsub
+    server.dropConnections()
+    await until(() => pubsub.publisher !== publisher
+        && pubsub.subscriber !== subscriber
+        && pubsub.publisher.readyState === 'open'
+        && server.subscriberCount('ws-chat:room') === 1)
+
+    pubsub.publish('room', { text: 'again' })
+    await until(() => received.length === 1)
+    assert.deepEqual(received, [{ text: 'again' }])
+})
@@ -0,0 +1,83 @@
+require('./helper.cjs')
+const test = require('node:test')
+const assert = require('node:assert/strict')
+const { FloodGuard } = require('../rate-limiter.cjs')
+
+function guard (options) {
+    return new FloodGuard({
+        capacity: 3,
+        perSecond: 1,
+        requestLimits: { rename: { capacity: 1, perSecond: 0.1 } },
+        maxMessageSize: 100,
+        muteStrikes: 2,
+        disconnectStrikes: 4,
+        ...options
+    })
+}
+
+test('bursts are allowed up to the capacity', () => {
+    let g = guard()
+    let state = g.createState()
+    let results = [1, 2, 3, 4].map(() => g.check(state, { text: 'hi' }))
+    assert.deepEqual(results, ['allow', 'allow', 'allow', 'warn'])
+})
+
+test('buckets refill over time', () => {
+    let g = guard()
+    let state = g.createState()
+    for (let i = 0; i < 3; i++)
+        g.check(state, { text: 'hi' })
+
+    state.bucket.updated -= 1000
+    assert.equal(g.check(state, { text: 'hi' }), 'allow')
+    assert.equal(g.check(state, { text: 'hi' }), 'warn')
+})
+
+test('listed requests have limits of their own', () => {
+    let g = guard()
+    let state = g.createState()
+    assert.equal(g.check(state, { request: 'rename' }), 'allow')
+    assert.equal(g.check(state, { request: 'rename' }), 'warn')
+    assert.equal(g.check(state, { request: 'history' }), 'allow')
+})
+
+test('slash commands are limited under their name', () => {
+    let g = guard({ requestLimits: { '/nick': { capacity: 1, perSecond: 0 } } })
+    let state = g.createState()
+    assert.equal(g.check(state, { text: '/nick Ann' }), 'allow')
+    assert.equal(g.check(state, { text: '/nick Bob' }), 'warn')
+    assert.equal(g.check(state, { text: 'nick Bob' }), 'allow')
+})
+
+test('repeated strikes escalate to a mute, then disconnection', () => {
+    let g = guard({ capacity: 0 })
+    let state = g.createState()
+    let results = [1, 2, 3, 4].map(() => g.check(state, { text: 'hi' }))
+    assert.deepEqual(results, ['warn', 'mute', 'drop', 'disconnect'])
+})
+
+test('muted senders are dropped even within their limits', () => {
+    let g = guard()
+    let state = g.createState()
+    state.mutedUntil = Date.now() + 60000
+    assert.equal(g.check(state, { text: 'hi' }), 'drop')
+
+    state.mutedUntil = Date.now() - 1
+    assert.equal(g.check(state, { text: 'hi' }), 'allow')
+})
+
+test('strikes are forgiven after a while', () => {
+    let g = guard({ capacity: 0, forgiveAfter: 1000 })
+    let state = g.createState()
+    assert.equal(g.check(state, { text: 'hi' }), 'warn')
+    state.lastStrike -= 2000
+    assert.equal(g.check(state, { text: 'hi' }), 'warn')
+})
+
+test('oversized messages count as strikes', () => {
+    let g = guard()
+    let state = g.createState()
+    assert.equal(g.checkSize(state, 100), 'allow')
+    assert.equal(g.checkSize(state, 101), 'warn')
+    assert.equal(state.strikes, 1)
+})
@@ -0,0 +1,73 @@
+const { chatServer } = require('./helper.cjs')
+const test = require('node:test')
+const assert = require('node:assert/strict')
+
+// Ann and Bob in the Lobby, with a few messages from Bob.
+async function chatters (t) {
+    let server = chatServer(t)
+    let ann = server.connect({ name: 'Ann', sid: 'ann' })
+    let bob = server.connect({ name: 'Bob', sid: 'bob' })
+    await server.settle()
+    for (const text of ['one', 'two', 'three'])
+        bob.say({ text })
+    await server.settle()
+
+    let lobby = server.rooms.getRoom('Lobby')
+    let serials = lobby.history.slice(-3).map(r => r._serial)
+    return { ...server, ann, bob, lobby, serials }
+}
+
+test('acknowledgements are announced, and never move back', async t => {
+    let { ann, bob, settle, serials: [one, two] } = await chatters(t)
+    ann.say({ request: 'ack', serial: two, requestId: 1 })
+    await settle()
+    assert.equal(ann.reply(1).ok, true)
+    assert.deepEqual(bob.last('read'), { name: 'Ann', serial: two })
+
+    bob.clear()
+    ann.say({ request: 'ack', serial: one, requestId: 2 })
+    await settle()
+    assert.equal(ann.reply(2).ok, true)
+    assert.equal(bob.last('read'), undefined)
+})
+
+test('only serials already issued may be acknowledged', async t => {
+    let { ann, settle, lobby } = await chatters(t)
+    let invalid = [0, -1, 1.5, '2', lobby.lastSerial + 1]
+    invalid.forEach((serial, i) =>
+        ann.say({ request: 'ack', serial, requestId: i }))
+    await settle()
+
+    invalid.forEach((serial, i) =>
+        assert.equal(ann.reply(i).error.code, 'MESSAGE_NOT_FOUND', serial))
+    assert.equal(lobby.historyStore.reads.size, 0)
+})
+
+test('seenBy lists those who have read as far as a message', async t => {
+    let { ann, bob, settle, serials: [one, two, three] } = await chatters(t)
+    ann.say({ request: 'ack', serial: two })
+    bob.say({ request: 'ack', serial: three })
+    for (const serial of [one, three, 999])
+        ann.say({ request: 'seenBy', serial, requestId: serial })
+    await settle()
+
+    assert.deepEqual(ann.reply(one).value.names, ['Ann', 'Bob'])
+    assert.deepEqual(ann.reply(three).value.names, ['Bob'])
+    assert.equal(ann.reply(999).error.code, 'MESSAGE_NOT_FOUND')
+})
+
+test('returning sockets are told how much is unread', async t => {
+    let { ann, bob, connect, settle, serials: [one] } = await chatters(t)
+    ann.say({ request: 'ack', serial: one })
+    ann.say({ text: 'my own' })
+    await settle()
+
+    let again = connect({ name: 'Ann', sid: 'ann' })
+    let newcomer = connect({ name: 'Bob', sid: 'bob' })
+    await settle()
+    assert.deepEqual(again.last('unread'), { count: 2, since: one })
+
+    // Those who never acknowledged anything are not told.
+    assert.equal(newcomer.last('unread'), undefined)
+    assert.equal(bob.last('unread'), undefined)
+})
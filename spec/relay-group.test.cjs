@@ -0,0 +1,70 @@
+require('./helper.cjs')
+const test = require('node:test')
+const assert = require('node:assert/strict')
+const { RelayGroup } = require('../relay-group.cjs')
+
+// A relay which records the calls made to it, and owns the given sockets.
+function stubRelay (addresses = {}) {
+    return {
+        calls: [],
+        channel: null,
+        setChannel (c) { this.channel = c },
+        broadcast (m) { this.calls.push(['broadcast', m]) },
+        approveListener (...args) { this.calls.push(['approve', ...args]) },
+        dismissListener (...args) { this.calls.push(['dismiss', ...args]) },
+        disconnect (...args) { this.calls.push(['disconnect', ...args]) },
+        addressOf (socketId) { return addresses[socketId] ?? null }
+    }
+}
+
+test('a group and its channel attach to each other', () => {
+    let channel = { attachRelay (r) { this.relay = r } }
+    let group = new RelayGroup({ channel })
+    assert.equal(channel.relay, group)
+
+    let relay = stubRelay()
+    group.add(relay).add(relay)
+    assert.deepEqual(group.relays, [relay])
+    assert.equal(relay.channel, group)
+})
+
+test('messages from every relay reach the channel', () => {
+    let received = []
+    let channel = { receive: m => received.push(m) }
+    let a = stubRelay()
+    let b = stubRelay()
+    new RelayGroup({ channel, relays: [a, b] })
+
+    a.channel.receive({ text: 'from a' })
+    b.channel.receive({ text: 'from b' })
+    assert.deepEqual(received.map(m => m.text), ['from a', 'from b'])
+})
+
+test('the channel\'s calls are passed to every relay', () => {
+    let a = stubRelay()
+    let b = stubRelay()
+    let group = new RelayGroup({ relays: [a, b] })
+
+    group.broadcast({ text: 'hi' })
+    group.approveListener(3, 'Lobby')
+    group.dismissListener(3, 'Lobby')
+    group.disconnect(3, 1000, 'Bye')
+
+    let expected = [
+        ['broadcast', { text: 'hi' }],
+        ['approve', 3, 'Lobby'],
+        ['dismiss', 3, 'Lobby'],
+        ['disconnect', 3, 1000, 'Bye']
+    ]
+    assert.deepEqual(a.calls, expected)
+    assert.deepEqual(b.calls, expected)
+})
+
+test('addresses are found in whichever relay holds the socket', () => {
+    let group = new RelayGroup({
+        relays: [stubRelay({ 1: '10.0.0.1' }), stubRelay({ 2: '10.0.0.2' })]
+    })
+    assert.equal(group.addressOf(1), '10.0.0.1')
+    assert.equal(group.addressOf(2), '10.0.0.2')
+    assert.equal(group.addressOf(3), null)
+})
@@ -0,0 +1,77 @@
+const { chatServer } = require('./helper.cjs')
+const test = require('node:test')
+const assert = require('node:assert/strict')
+const { errorCodes, errorReply, successReply } = require('../replies.cjs')
+
+test('replies carry the requestId back, if it is usable', () => {
+    let m = { _sender: 4, requestId: 'a1' }
+    assert.deepEqual(successReply(m, { value: 1 }),
+        { to: 4, replyTo: 'a1', ok: true, value: 1 })
+    assert.deepEqual(errorReply(m, 'MUTED'), {
+        to: 4,
+        replyTo: 'a1',
+        ok: false,
+        error: { code: 'MUTED', message: errorCodes.MUTED },
+        text: errorCodes.MUTED
+    })
+
+    assert.equal(successReply({ _sender: 4 }), null)
+    for (const requestId of [{}, 'x'.repeat(65), NaN])
+        assert.ok( ! ('replyTo' in errorReply({ requestId }, 'MUTED')) )
+    assert.throws(() => errorReply(m, 'NO_SUCH_CODE'), /Unknown error code/)
+})
+
+async function chatters (t) {
+    let server = chatServer(t)
+    let ann = server.connect({ name: 'Ann', sid: 'ann' })
+    let bob = server.connect({ name: 'Bob', sid: 'bob' })
+    await server.settle()
+    return { ...server, ann, bob, lobby: server.rooms.getRoom('Lobby') }
+}
+
+test('requests are answered with their requestId', async t => {
+    let { ann, settle } = await chatters(t)
+    ann.say({ request: 'rename', text: 'Annie', requestId: 1 })
+    ann.say({ recipient: 'Bob', text: 'hi', requestId: 2 })
+    ann.say({ request: 'history', limit: 1, requestId: 3 })
+    await settle()
+
+    assert.equal(ann.reply(1).ok, true)
+    assert.equal(ann.reply(2).ok, true)
+    assert.equal(ann.reply(3).history.length, 1)
+})
+
+test('failures are answered with an error code', async t => {
+    let { ann, settle } = await chatters(t)
+    let expected = {
+        INVALID_NAME: { request: 'rename', text: ' ' },
+        NAME_IN_USE: { request: 'rename', text: 'bob' },
+        INVALID_RANGE: { request: 'history', first: 'one' },
+        RECIPIENT_NOT_FOUND: { recipient: 'Cy', text: 'hi' },
+        UNKNOWN_REQUEST: { request: 'dance' },
+        FORBIDDEN_FIELD: { text: 'hi', nested: { _name: 'Bob' } }
+    }
+    for (const [code, m] of Object.entries(expected))
+        ann.say({ ...m, requestId: code })
+    await settle()
+
+    for (const code of Object.keys(expected)) {
+        let reply = ann.reply(code)
+        assert.equal(reply.ok, false, code)
+        assert.equal(reply.error.code, code)
+        assert.equal(typeof reply.error.message, 'string')
+        assert.equal(reply.text, reply.error.message)
+    }
+})
+
+test('chat with a requestId is acknowledged, and recorded without it',
+async t => {
+    let { ann, bob, settle, lobby } = await chatters(t)
+    ann.say({ text: 'hello', requestId: 7 })
+    await settle()
+
+    assert.equal(ann.reply(7).ok, true)
+    assert.equal(bob.reply(7), undefined)
+    assert.ok( ! ('requestId' in lobby.history.at(-1)) )
+    assert.ok( ! ('requestId' in bob.inbox.findLast(m => m.text === 'hello')) )
+})
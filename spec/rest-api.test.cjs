@@ -0,0 +1,111 @@
+const { chatServer } = require('./helper.cjs')
+const test = require('node:test')
+const assert = require('node:assert/strict')
+const { once } = require('node:events')
+const express = require('express')
+const { createApiRouter } = require('../rest-api.cjs')
+
+// The API in front of a chat server with Ann in the Lobby.
+// Requests with an X-Admit header of 'no' are refused admission.
+async function api (t, { apiKey = 'key' } = {}) {
+    let chat = chatServer(t)
+    let admit = req => req.headers['x-admit'] === 'no'
+        ? { status: 401 }
+        : { auth: null, address: null }
+    let server = express()
+        .use('/api', createApiRouter({ rooms: chat.rooms, admit, apiKey }))
+        .listen(0, '127.0.0.1')
+    await once(server, 'listening')
+    t.after(() => server.close())
+
+    let ann = chat.connect({ name: 'Ann', sid: 'ann' })
+    await chat.settle()
+
+    let base = `http://127.0.0.1:${server.address().port}/api`
+    const call = async (route, { headers, body } = {}) => {
+        let res = await fetch(base + route, {
+            method: body ? 'POST' : 'GET',
+            headers: { 'Content-Type': 'application/json', ...headers },
+            body: body && JSON.stringify(body)
+        })
+        return { status: res.status, json: await res.json() }
+    }
+    return { ...chat, ann, call }
+}
+
+test('rooms and their details are listed', async t => {
+    let { call } = await api(t)
+    assert.deepEqual((await call('/rooms')).json, [{ name: 'Lobby', users: 1 }])
+
+    let { json } = await call('/rooms/lobby')
+    assert.equal(json.name, 'Lobby')
+    assert.equal(json.users, 1)
+    assert.equal(json.history, 1)
+    assert.equal((await call('/rooms/Attic')).status, 404)
+})
+
+test('users are listed with their status and connections', async t => {
+    let { call } = await api(t)
+    let [ann, ...others] = (await call('/rooms/Lobby/users')).json
+    assert.equal(others.length, 0)
+    assert.equal(ann.name, 'Ann')
+    assert.equal(ann.status, 'online')
+    assert.equal(ann.connections, 1)
+    assert.equal(typeof ann.joined, 'number')
+})
+
+test('history is served by serial range', async t => {
+    let { call, ann, settle } = await api(t)
+    for (const text of ['one', 'two', 'three'])
+        ann.say({ text })
+    await settle()
+
+    let { json } = await call('/rooms/Lobby/history?first=3&last=4')
+    assert.deepEqual(json.map(r => r.text), ['two', 'three'])
+    assert.deepEqual(json.map(r => r._serial), [3, 4])
+    assert.equal((await call('/rooms/Lobby/history?first=x')).status, 400)
+})
+
+test('reading needs admission, or the API key', async t => {
+    let { call } = await api(t)
+    let refused = { 'X-Admit': 'no' }
+    assert.equal((await call('/rooms', { headers: refused })).status, 401)
+    assert.equal((await call('/rooms', {
+        headers: { ...refused, Authorization: 'Bearer key' }
+    })).status, 200)
+})
+
+test('posting needs the API key, and posts to the room', async t => {
+    let { call, settle, rooms } = await api(t)
+    let key = { Authorization: 'Bearer key' }
+    let post = (body, headers = key) =>
+        call('/rooms/Lobby/messages', { headers, body })
+
+    assert.equal((await post({ text: 'hi' }, {})).status, 401)
+    assert.equal((await post({ text: 'hi' },
+        { Authorization: 'Bearer nope' })).status, 401)
+    assert.equal((await post({ text: ' ' })).status, 400)
+    assert.equal((await post({ text: 'hi', name: '' })).status, 400)
+    assert.equal((await call('/rooms/Attic/messages',
+        { headers: key, body: { text: 'hi' } })).status, 404)
+
+    let posted = await post({ text: 'Deploy finished.' })
+    assert.deepEqual(posted, { status: 202, json: { room: 'Lobby' } })
+    await post({ text: 'Ticket closed.', name: 'Tracker' })
+    await settle()
+
+    let [notice, bot] = rooms.getRoom('Lobby').history.slice(-2)
+    assert.equal(notice.text, 'Deploy finished.')
+    assert.equal(notice.name, undefined)
+    assert.equal(bot.name, 'Tracker')
+    assert.equal(bot._bot, true)
+})
+
+test('posting is disabled without an API key', async t => {
+    let { call } = await api(t, { apiKey: null })
+    let { status } = await call('/rooms/Lobby/messages', {
+        headers: { Authorization: 'Bearer null' },
+        body: { text: 'hi' }
+    })
+    assert.equal(status, 404)
+})
@@ -0,0 +1,75 @@
+require('./helper.cjs')
+const test = require('node:test')
+const assert = require('node:assert/strict')
+const { ChatChannel } = require('../chat-channel.cjs')
+const { MemoryHistoryStore } = require('../history-store.cjs')
+
+function channel (retention) {
+    return new ChatChannel({
+        name: 'Test',
+        historyStore: new MemoryHistoryStore(),
+        retention
+    })
+}
+
+async function post (c, count) {
+    for (let i = 1; i <= count; i++)
+        await c.receive({ text: 'message ' + i, _remember: true })
+}
+
+const serials = records => records.map(r => r._serial)
+
+test('history over maxHistory is trimmed by historyTrimRatio', async () => {
+    let c = channel({ maxHistory: 10, historyTrimRatio: 0.5 })
+    await post(c, 11)
+    assert.deepEqual(serials(c.history), [7, 8, 9, 10, 11])
+})
+
+test('serials keep counting up after trimming', async () => {
+    let c = channel({ maxHistory: 2, historyTrimRatio: 0.5 })
+    await post(c, 5)
+    assert.equal(c.lastSerial, 5)
+    assert.deepEqual(serials(c.history), [5])
+})
+
+test('messages older than maxHistoryAge are discarded', async () => {
+    let c = channel({ maxHistoryAge: 60000 })
+    await post(c, 3)
+    c.historyStore.records[0]._time -= 120000
+    c.enforceRetention()
+    assert.deepEqual(serials(c.history), [2, 3])
+})
+
+test('history over maxHistoryBytes is trimmed', async () => {
+    let c = channel({ maxHistoryBytes: 400, historyTrimRatio: 0.5 })
+    await post(c, 10)
+    let bytes = c.history.reduce((sum, r) =>
+        sum + Buffer.byteLength(JSON.stringify(r)), 0)
+    assert.ok(bytes <= 400)
+    assert.equal(c.history.at(-1)._serial, 10)
+})
+
+test('pages only report trimming for ranges which ask for it', async () => {
+    let c = channel({ maxHistory: 4, historyTrimRatio: 0.5 })
+    await post(c, 5)
+    assert.deepEqual(serials(c.history), [4, 5])
+
+    assert.equal(c.page().trimmed, undefined)
+    assert.equal(c.page({ before: 5 }).trimmed, undefined)
+    assert.deepEqual(c.page({ first: 1 }).trimmed, { oldest: 4 })
+    assert.deepEqual(c.page({ after: 1, limit: 1 }).trimmed, { oldest: 4 })
+    assert.equal(c.page({ first: 4 }).trimmed, undefined)
+})
+
+test('pages move backward with before and forward with after', async () => {
+    let c = channel({ maxHistory: 50 })
+    await post(c, 10)
+
+    let page = c.page({ before: 8, limit: 3 })
+    assert.deepEqual(serials(page.history), [5, 6, 7])
+    assert.equal(page.more, true)
+
+    page = c.page({ after: 8, limit: 3 })
+    assert.deepEqual(serials(page.history), [9, 10])
+    assert.equal(page.more, false)
+})
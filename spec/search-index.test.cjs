@@ -0,0 +1,85 @@
+const { chatServer } = require('./helper.cjs')
+const test = require('node:test')
+const assert = require('node:assert/strict')
+const { SearchIndex, tokenize } = require('../search-index.cjs')
+
+function indexOf (...texts) {
+    let index = new SearchIndex()
+    texts.forEach((text, i) => index.add({
+        text,
+        name: i % 2 ? 'Bob' : 'Ann',
+        _serial: i + 1,
+        _time: (i + 1) * 1000
+    }))
+    return index
+}
+
+test('text is split into lower-case words', () => {
+    assert.deepEqual(tokenize("Café, l'été 2024!"),
+        ['café', 'l', 'été', '2024'])
+    assert.deepEqual(tokenize('...'), [])
+})
+
+test('searches match every word, newest first', () => {
+    let index = indexOf('Lunch at noon', 'no lunch today', 'NOON it is',
+        'lunch, noon?')
+    assert.deepEqual(index.search({ text: 'noon lunch' }).serials, [4, 1])
+    assert.deepEqual(index.search({ text: 'dinner' }).serials, [])
+    assert.deepEqual(index.search({ text: 'noon', name: 'bob' }).serials,
+        [4])
+    assert.deepEqual(index.search({ name: 'Ann' }).serials, [3, 1])
+    assert.deepEqual(index.search({ text: 'lunch', since: 2000, until: 3000 })
+        .serials, [2])
+})
+
+test('results come a page at a time', () => {
+    let index = indexOf('a', 'a', 'a', 'a', 'a')
+    let first = index.search({ text: 'a', limit: 2 })
+    assert.deepEqual(first, { serials: [5, 4], total: 5, next: 4 })
+
+    let second = index.search({ text: 'a', limit: 2, before: first.next })
+    assert.deepEqual(second, { serials: [3, 2], total: 5, next: 2 })
+    let last = index.search({ text: 'a', limit: 2, before: second.next })
+    assert.deepEqual(last, { serials: [1], total: 5, next: null })
+})
+
+test('removed and deleted messages are forgotten', () => {
+    let index = indexOf('one fish', 'two fish', 'red fish', 'blue fish')
+    index.remove(2)
+    index.removeBefore(2)
+    index.add({ _serial: 5, _time: 5000, _deleted: 5000 })
+    assert.deepEqual(index.search({ text: 'fish' }).serials, [4, 3])
+    assert.equal(index.terms.has('two'), false)
+    assert.equal(index.terms.has('one'), false)
+    assert.equal(index.entries.has(5), false)
+})
+
+test('channels keep their index up to date', async t => {
+    let { connect, settle } = chatServer(t)
+    let ann = connect({ name: 'Ann', sid: 'ann' })
+    await settle()
+    ann.say({ text: 'the deploy failed' })
+    ann.say({ text: 'deploy again' })
+    await settle()
+
+    const search = async (request, requestId) => {
+        ann.say({ request: 'search', ...request, requestId })
+        await settle()
+        return ann.reply(requestId)
+    }
+    let found = (await search({ text: 'deploy' }, 1)).value
+    assert.deepEqual(found.results.map(r => r.text),
+        ['deploy again', 'the deploy failed'])
+    assert.equal(found.total, 2)
+
+    let [failed] = found.results.slice(-1).map(r => r._serial)
+    ann.say({ request: 'edit', serial: failed, text: 'the deploy worked' })
+    await settle()
+    assert.deepEqual((await search({ text: 'failed' }, 2)).value.results, [])
+    assert.equal((await search({ text: 'worked' }, 3)).value.total, 1)
+
+    assert.equal((await search({ text: ' ' }, 4)).error.code,
+        'INVALID_SEARCH')
+    assert.equal((await search({ text: 'x', limit: 0 }, 5)).error.code,
+        'INVALID_SEARCH')
+})
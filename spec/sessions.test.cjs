@@ -0,0 +1,96 @@
+const { chatServer } = require('./helper.cjs')
+const test = require('node:test')
+const assert = require('node:assert/strict')
+const { setTimeout: sleep } = require('node:timers/promises')
+
+test('a disconnected session is held for its grace period', async t => {
+    let { connect, settle, rooms } = chatServer(t)
+    let lobby = rooms.getRoom('Lobby')
+    let ann = connect({ name: 'Ann', sid: 'ann' })
+    await settle()
+
+    ann.close(1000)
+    await settle()
+    assert.ok(lobby.lingering.has('ann'))
+    assert.equal(lobby.getUser({ sessionId: 'ann' }).name, 'Ann')
+
+    await sleep(lobby.sessionGracePeriod + 20)
+    await settle()
+    assert.ok( ! lobby.lingering.has('ann') )
+    assert.equal(lobby.getUser({ sessionId: 'ann' }), undefined)
+    assert.equal(lobby.history.at(-1).text, 'Ann disconnected.')
+})
+
+test('a session resumed in time keeps its name and replays what it missed',
+async t => {
+    let { connect, settle, rooms } = chatServer(t)
+    let ann = connect({ name: 'Ann', sid: 'ann' })
+    let bob = connect({ name: 'Bob', sid: 'bob' })
+    await settle()
+    let seen = rooms.getRoom('Lobby').lastSerial
+
+    ann.close(1000)
+    await settle()
+    bob.say({ text: 'while you were out' })
+    await settle()
+
+    let back = connect({ name: 'Someone', sid: 'ann', requestId: 1 })
+    await settle()
+    assert.equal(back.reply(1).value, 'Ann')
+    assert.equal(back.last('name'), 'Ann')
+    let replay = back.inbox.find(m => m.history)
+    assert.deepEqual(replay.history.map(m => m.text), ['while you were out'])
+    assert.ok(replay.history[0]._serial > seen)
+})
+
+test('a resuming session may say how far it had seen', async t => {
+    let { connect, settle } = chatServer(t)
+    let ann = connect({ name: 'Ann', sid: 'ann' })
+    await settle()
+    ann.say({ text: 'one' })
+    ann.say({ text: 'two' })
+    await settle()
+    let first = ann.inbox.find(m => m.text === 'one')._serial
+
+    ann.close(1000)
+    await settle()
+    let back = connect({ sid: 'ann', lastSeen: first })
+    await settle()
+    assert.deepEqual(back.inbox.find(m => m.history).history
+        .map(m => m.text), ['two'])
+})
+
+test('a second socket of a live session joins the same user', async t => {
+    let { connect, settle, rooms } = chatServer(t)
+    connect({ name: 'Ann', sid: 'ann' })
+    let tab = connect({ name: 'Other', sid: 'ann', requestId: 1 })
+    await settle()
+    assert.equal(tab.reply(1).value, 'Ann')
+    assert.equal(rooms.getRoom('Lobby').users.sessions.size, 1)
+})
+
+test('sessions begun by an account belong to it alone', async t => {
+    let { connect, settle } = chatServer(t)
+    let cat = connect({ auth: { name: 'Cat' }, sid: 'cat' })
+    await settle()
+    cat.close(1000)
+    await settle()
+
+    let dog = connect({ auth: { name: 'Dog' }, sid: 'cat', requestId: 1 })
+    let anon = connect({ sid: 'cat', requestId: 2 })
+    await settle()
+    assert.equal(dog.reply(1).error.code, 'SESSION_IN_USE')
+    assert.equal(anon.reply(2).error.code, 'SESSION_IN_USE')
+
+    let owner = connect({ auth: { name: 'cat' }, sid: 'cat', requestId: 3 })
+    await settle()
+    assert.equal(owner.reply(3).value, 'Cat')
+})
+
+test('accounts cannot take over anonymous sessions', async t => {
+    let { connect, settle } = chatServer(t)
+    connect({ name: 'Ann', sid: 'ann' })
+    let cat = connect({ auth: { name: 'Cat' }, sid: 'ann', requestId: 1 })
+    await settle()
+    assert.equal(cat.reply(1).error.code, 'SESSION_IN_USE')
+})
@@ -0,0 +1,103 @@
+const { chatServer, tempDir, FakeSocket } = require('./helper.cjs')
+const test = require('node:test')
+const assert = require('node:assert/strict')
+const fs = require('node:fs')
+const net = require('node:net')
+const path = require('node:path')
+const { spawn } = require('node:child_process')
+const { once } = require('node:events')
+const { setTimeout: sleep } = require('node:timers/promises')
+const WebSocket = require('ws')
+const { WebSocketRelay } = require('../chat-channel.cjs')
+
+test('closeAll resolves once every relay\'s sockets have closed',
+async t => {
+    let relays = [new WebSocketRelay(), new WebSocketRelay()]
+    let { relay, connect, settle } = chatServer(t, { relays })
+    let ann = connect({ name: 'Ann', sid: 'ann' })
+    let bob = new FakeSocket()
+    relays[1].receiveConnection(bob, {})
+    await settle()
+
+    await relay.closeAll(1012, 'Restarting')
+    assert.deepEqual(ann.closed, [1012, 'Restarting'])
+    assert.deepEqual(bob.closed, [1012, 'Restarting'])
+    for (const r of relays) {
+        assert.equal(r.sockets.size, 0)
+        assert.equal(r.heartbeat, null)
+    }
+})
+
+// A port nothing is listening on, for a server to use.
+async function freePort () {
+    let probe = net.createServer().listen(0, '127.0.0.1')
+    await once(probe, 'listening')
+    let { port } = probe.address()
+    probe.close()
+    await once(probe, 'close')
+    return port
+}
+
+// Open a WebSocket, retrying while the server starts.
+async function connectTo (url, timeout = 10000) {
+    let start = Date.now()
+    for (;;) {
+        let ws = new WebSocket(url)
+        try {
+            await once(ws, 'open')
+            return ws
+        } catch (er) {
+            if (Date.now() - start > timeout)
+                throw er
+            await sleep(100)
+        }
+    }
+}
+
+test('SIGTERM warns clients, closes their sockets and saves state',
+{ timeout: 30000 }, async t => {
+    let dir = tempDir()
+    let port = await freePort()
+    let child = spawn(process.execPath,
+        [path.join(__dirname, '..', 'server.js')], {
+            cwd: dir,
+            env: {
+                ...process.env,
+                PORT: String(port),
+                HISTORY_DIR: dir,
+                READS_WRITE_DELAY: '60000',
+                SHUTDOWN_TIMEOUT: '10000'
+            },
+            stdio: 'ignore'
+        })
+    let exited = once(child, 'exit')
+    t.after(() => child.exitCode === null && child.kill('SIGKILL'))
+
+    let ws = await connectTo(`ws://127.0.0.1:${port}`)
+    let inbox = []
+    ws.on('message', data => inbox.push(JSON.parse(data)))
+    let closed = once(ws, 'close')
+
+    ws.send(JSON.stringify({ request: 'identify', name: 'Ann', sid: 'ann',
+        requestId: 1 }))
+    while ( ! inbox.some(m => m.replyTo === 1) )
+        await sleep(20)
+    let serial = inbox.findLast(m => m._set === 'lastSeen').value
+    ws.send(JSON.stringify({ request: 'ack', serial, requestId: 2 }))
+    while ( ! inbox.some(m => m.replyTo === 2) )
+        await sleep(20)
+
+    child.kill('SIGTERM')
+    let [code, reason] = await closed
+    assert.equal(code, 1012)
+    assert.match(String(reason), /reconnect after \d+ ms/)
+    assert.ok(inbox.some(m => /Server restarting/.test(m.text)))
+    assert.deepEqual(await exited, [0, null])
+
+    // The notice is remembered, and read positions are written at once.
+    let history = fs.readFileSync(path.join(dir, 'lobby.jsonl'), 'utf8')
+    assert.match(history, /Server restarting/)
+    let reads = JSON.parse(
+        fs.readFileSync(path.join(dir, 'lobby.reads.json'), 'utf8'))
+    assert.deepEqual(Object.values(reads), [{ serial, name: 'Ann' }])
+})
@@ -0,0 +1,126 @@
+const { chatServer } = require('./helper.cjs')
+const test = require('node:test')
+const assert = require('node:assert/strict')
+const { parseCommand, commandName } = require('../slash-commands.cjs')
+
+test('commands are split into quoted and unquoted arguments', () => {
+    assert.deepEqual(parseCommand('/MSG "Ann Lee" see you  soon'), {
+        name: 'msg',
+        argText: '"Ann Lee" see you  soon',
+        args: ['Ann Lee', 'see', 'you', 'soon'],
+        rest: ['see you  soon', 'you  soon', 'soon', '']
+    })
+    assert.equal(commandName('/Who'), 'who')
+    assert.equal(commandName('who'), undefined)
+    assert.equal(commandName({ text: '/who' }), undefined)
+})
+
+async function chatters (t) {
+    let server = chatServer(t)
+    let ann = server.connect({ name: 'Ann', sid: 'ann' })
+    let bob = server.connect({ name: 'Bob Lee', sid: 'bob' })
+    await server.settle()
+    ann.clear()
+    bob.clear()
+    return { ...server, ann, bob, lobby: server.rooms.getRoom('Lobby') }
+}
+
+test('/nick and /me act as the equivalent requests', async t => {
+    let { ann, bob, settle, lobby } = await chatters(t)
+    ann.say({ text: '/nick Annie' })
+    await settle()
+    assert.equal(ann.last('name'), 'Annie')
+
+    ann.say({ text: '/me waves' })
+    await settle()
+    let action = lobby.history.at(-1)
+    assert.equal(action.text, 'waves')
+    assert.equal(action.action, true)
+    assert.equal(action.name, 'Annie')
+    assert.equal(bob.inbox.at(-1).text, 'waves')
+})
+
+test('/msg sends privately, to quoted names too', async t => {
+    let { ann, bob, settle, lobby } = await chatters(t)
+    let remembered = lobby.history.length
+    ann.say({ text: '/msg "Bob Lee" meet at noon' })
+    await settle()
+
+    assert.equal(bob.inbox.at(-1).text, 'meet at noon')
+    assert.equal(bob.inbox.at(-1).name, 'Ann → Bob Lee')
+    assert.equal(lobby.history.length, remembered)
+})
+
+test('/who, /whois and /help reply only to the sender', async t => {
+    let { ann, bob, settle } = await chatters(t)
+    ann.say({ text: '/who' })
+    await settle()
+    assert.equal(ann.inbox.at(-1).text, '2 user(s) in Lobby: Ann, Bob Lee')
+
+    ann.say({ text: '/whois bob lee' })
+    await settle()
+    assert.equal(ann.inbox.at(-1).text,
+        'Bob Lee is a member, connected on 1 socket(s).')
+
+    ann.say({ text: '/help' })
+    await settle()
+    let help = ann.inbox.at(-1).text
+    for (const usage of ['/nick <name>', '/msg <name> <message>', '/help'])
+        assert.ok(help.includes(usage), usage)
+
+    assert.equal(bob.inbox.length, 0)
+})
+
+test('/history replays recent messages', async t => {
+    let { ann, bob, settle } = await chatters(t)
+    bob.say({ text: 'one' })
+    bob.say({ text: 'two' })
+    await settle()
+
+    ann.say({ text: '/history 2' })
+    await settle()
+    let { history } = ann.inbox.at(-1)
+    assert.deepEqual(history.map(r => r.text), ['one', 'two'])
+})
+
+test('mistakes are answered with errors, to the sender only', async t => {
+    let { ann, bob, settle, lobby } = await chatters(t)
+    let remembered = lobby.history.length
+    ann.say({ text: '/nick', requestId: 1 })
+    ann.say({ text: '/history none', requestId: 2 })
+    ann.say({ text: '/frobnicate', requestId: 3 })
+    await settle()
+
+    assert.equal(ann.reply(1).error.code, 'USAGE')
+    assert.equal(ann.reply(1).text, 'Usage: /nick <name>')
+    assert.equal(ann.reply(2).error.code, 'USAGE')
+    assert.equal(ann.reply(3).error.code, 'UNKNOWN_COMMAND')
+    assert.equal(bob.inbox.length, 0)
+    assert.equal(lobby.history.length, remembered)
+})
+
+test('commands defined on the registry reach every room', async t => {
+    let { ann, rooms, settle } = await chatters(t)
+    rooms.defineCommand('roll', {
+        usage: '/roll <sides>',
+        description: 'Roll a die.',
+        minArgs: 1
+    }, function (m) {
+        this.reply(m, `${this.channel.name} rolled ${m._args[0]}`)
+    })
+    ann.say({ request: 'join', room: 'Attic' })
+    await settle()
+
+    ann.say({ text: '/roll 6', room: 'Lobby' })
+    ann.say({ text: '/roll 20', room: 'Attic' })
+    await settle()
+    let texts = ann.inbox.map(m => m.text)
+    assert.ok(texts.includes('Lobby rolled 6'))
+    assert.ok(texts.includes('Attic rolled 20'))
+
+    ann.say({ text: '/help' })
+    await settle()
+    assert.ok(ann.inbox.at(-1).text.includes('/roll <sides> — Roll a die.'))
+    assert.throws(() => rooms.getRoom('Lobby').commands.define('roll', {}),
+        /already exists/)
+})
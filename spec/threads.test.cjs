@@ -0,0 +1,83 @@
+const { chatServer } = require('./helper.cjs')
+const test = require('node:test')
+const assert = require('node:assert/strict')
+
+// Ann and Bob in the Lobby, with a message from Ann to talk about.
+async function chatters (t) {
+    let server = chatServer(t)
+    let ann = server.connect({ name: 'Ann', sid: 'ann' })
+    let bob = server.connect({ name: 'Bob', sid: 'bob' })
+    await server.settle()
+    ann.say({ text: 'lunch?' })
+    await server.settle()
+
+    let lobby = server.rooms.getRoom('Lobby')
+    let serial = lobby.history.at(-1)._serial
+    return { ...server, ann, bob, lobby, serial }
+}
+
+test('replies are summarized as a thread on their parent', async t => {
+    let { ann, bob, settle, lobby, serial } = await chatters(t)
+    bob.say({ text: 'yes', parent: serial })
+    bob.say({ text: 'where?', parent: serial })
+    await settle()
+
+    let last = lobby.history.at(-1)._serial
+    assert.deepEqual(ann.last('thread'), { serial, replies: 2, last })
+    assert.deepEqual(lobby.retrieve(serial, serial)[0]._thread,
+        { replies: 2, last })
+    assert.equal(lobby.history.at(-1).parent, serial)
+
+    // Deleting a reply updates the thread.
+    bob.say({ request: 'delete', serial: last })
+    await settle()
+    assert.deepEqual(ann.last('thread'),
+        { serial, replies: 1, last: last - 1 })
+})
+
+test('replies to unknown messages are refused', async t => {
+    let { bob, settle, lobby } = await chatters(t)
+    let remembered = lobby.history.length
+    bob.say({ text: 'what?', parent: 999, requestId: 1 })
+    await settle()
+
+    assert.equal(bob.reply(1).error.code, 'MESSAGE_NOT_FOUND')
+    assert.equal(lobby.history.length, remembered)
+})
+
+test('reactions are counted once per user', async t => {
+    let { ann, bob, settle, lobby, serial } = await chatters(t)
+    ann.say({ request: 'react', serial, emoji: '👍' })
+    bob.say({ request: 'react', serial, emoji: '👍' })
+    bob.say({ request: 'react', serial, emoji: '👍', requestId: 1 })
+    bob.say({ request: 'react', serial, emoji: '🎉' })
+    await settle()
+
+    assert.equal(bob.reply(1).ok, true)
+    assert.deepEqual(ann.last('reaction'), { serial, emoji: '🎉', count: 1 })
+    let [record] = lobby.retrieve(serial, serial)
+    assert.deepEqual(record._reactions, { '👍': 2, '🎉': 1 })
+
+    bob.say({ request: 'unreact', serial, emoji: '🎉' })
+    ann.say({ request: 'unreact', serial, emoji: '👍' })
+    await settle()
+    assert.deepEqual(bob.last('reaction'), { serial, emoji: '👍', count: 1 })
+    assert.deepEqual(lobby.retrieve(serial, serial)[0]._reactions,
+        { '👍': 1 })
+})
+
+test('reactions must be single emoji on remembered messages', async t => {
+    let { ann, settle, lobby, serial } = await chatters(t)
+    lobby.maxReactions = 1
+    ann.say({ request: 'react', serial, emoji: 'yes', requestId: 1 })
+    ann.say({ request: 'react', serial: 999, emoji: '👍', requestId: 2 })
+    ann.say({ request: 'react', serial, emoji: '👍' })
+    ann.say({ request: 'react', serial, emoji: '🎉', requestId: 3 })
+    await settle()
+
+    assert.equal(ann.reply(1).error.code, 'INVALID_EMOJI')
+    assert.equal(ann.reply(2).error.code, 'MESSAGE_NOT_FOUND')
+    assert.equal(ann.reply(3).error.code, 'TOO_MANY_REACTIONS')
+    assert.deepEqual(lobby.retrieve(serial, serial)[0]._reactions,
+        { '👍': 1 })
+})
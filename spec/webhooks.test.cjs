@@ -0,0 +1,186 @@
+const { chatServer, until } = require('./helper.cjs')
+const test = require('node:test')
+const assert = require('node:assert/strict')
+const http = require('node:http')
+const crypto = require('node:crypto')
+const { once } = require('node:events')
+const express = require('express')
+const { Webhooks } = require('../webhooks.cjs')
+
+// A local HTTP server standing in for a webhook's receiver.
+// Each request is recorded, then answered by
+// respond(req, res, count, body), which by default accepts it
+// without a reply.
+async function receiver (t, respond = (req, res) => res.end()) {
+    let requests = []
+    let server = http.createServer((req, res) => {
+        let body = ''
+        req.on('data', chunk => body += chunk)
+        req.on('end', () => {
+            let json = JSON.parse(body)
+            requests.push({ headers: req.headers, body, json })
+            respond(req, res, requests.length, json)
+        })
+    })
+    server.listen(0, '127.0.0.1')
+    await once(server, 'listening')
+    t.after(() => server.close())
+
+    return { url: `http://127.0.0.1:${server.address().port}/`, requests }
+}
+
+// Webhooks for a chat server, with no configuration file and short delays.
+function hooked (t, hooks = []) {
+    let webhooks = new Webhooks({ file: null, retryDelay: 10 })
+    for (const hook of hooks)
+        webhooks.addOutgoing(hook)
+    let server = chatServer(t, { webhooks })
+    webhooks.attach(server.rooms)
+    return { webhooks, ...server }
+}
+
+test('deliveries are signed over their timestamp and body', async t => {
+    let { url, requests } = await receiver(t)
+    let { webhooks } = hooked(t)
+    webhooks.deliver({ name: 'Bot', url, secret: 'shh' }, { room: 'Lobby' })
+    await until(() => requests.length === 1)
+
+    let { headers, body } = requests[0]
+    let expected = crypto.createHmac('sha256', 'shh')
+        .update(`${headers['x-webhook-timestamp']}.${body}`)
+        .digest('hex')
+    assert.equal(headers['x-webhook-signature'], `sha256=${expected}`)
+    assert.deepEqual(JSON.parse(body), { room: 'Lobby' })
+})
+
+test('deliveries without a secret are not signed', async t => {
+    let { url, requests } = await receiver(t)
+    let { webhooks } = hooked(t)
+    webhooks.deliver({ name: 'Bot', url }, { room: 'Lobby' })
+    await until(() => requests.length === 1)
+    assert.equal(requests[0].headers['x-webhook-signature'], undefined)
+})
+
+test('server errors are retried, with the same delivery id', async t => {
+    let { url, requests } = await receiver(t, (req, res, n) => {
+        res.statusCode = n < 3 ? 503 : 200
+        res.end()
+    })
+    let { webhooks } = hooked(t)
+    await webhooks.deliver({ name: 'Bot', url }, { room: 'Lobby' })
+
+    assert.equal(requests.length, 3)
+    let ids = new Set(requests.map(r => r.headers['x-webhook-delivery']))
+    assert.equal(ids.size, 1)
+})
+
+test('client errors are not retried, and retries are limited', async t => {
+    let { url, requests } = await receiver(t, (req, res) => {
+        res.statusCode = 400
+        res.end()
+    })
+    let { webhooks } = hooked(t)
+    await webhooks.deliver({ name: 'Bot', url }, { room: 'Lobby' })
+    assert.equal(requests.length, 1)
+
+    let failing = await receiver(t, (req, res) => {
+        res.statusCode = 500
+        res.end()
+    })
+    webhooks.maxAttempts = 3
+    await webhooks.deliver({ name: 'Bot', url: failing.url }, {})
+    assert.equal(failing.requests.length, 3)
+})
+
+test('only messages matching a pattern are sent out', async t => {
+    let { url, requests } = await receiver(t)
+    let { connect, settle } = hooked(t, [{
+        name: 'Helpdesk',
+        url,
+        pattern: { room: 'Lobby', text: '/@helpdesk\\b/i', parent: null }
+    }])
+    let ann = connect({ name: 'Ann', sid: 'ann' })
+    await settle()
+
+    ann.say({ text: 'hello everyone' })
+    ann.say({ text: '@helpdeskers are not the helpdesk' })
+    ann.say({ text: '@Helpdesk my screen is blank' })
+    await settle()
+    await until(() => requests.length === 1)
+
+    let { room, message } = requests[0].json
+    assert.equal(room, 'Lobby')
+    assert.equal(message.name, 'Ann')
+    assert.equal(message.text, '@Helpdesk my screen is blank')
+})
+
+test('a webhook may answer with a reply, which no webhook sees', async t => {
+    let { url, requests } = await receiver(t, (req, res, n, body) => {
+        if (body.message.text !== 'anyone there?')
+            return res.end()
+        res.setHeader('Content-Type', 'application/json')
+        res.end(JSON.stringify({ text: 'On it.' }))
+    })
+    let { connect, settle, rooms } = hooked(t, [{ name: 'Echo', url }])
+    let lobby = rooms.getRoom('Lobby')
+    let ann = connect({ name: 'Ann', sid: 'ann' })
+    await settle()
+
+    ann.say({ text: 'anyone there?' })
+    await until(() => lobby.history.at(-1).text === 'On it.')
+    await settle()
+
+    assert.equal(lobby.history.at(-1).name, 'Echo')
+    assert.ok(requests.every(r => r.json.message.text !== 'On it.'))
+})
+
+test('a command webhook receives its arguments', async t => {
+    let { url, requests } = await receiver(t)
+    let { connect, settle } = hooked(t, [{
+        name: 'Tickets', url, command: 'ticket', usage: '/ticket <summary>'
+    }])
+    let ann = connect({ name: 'Ann', sid: 'ann' })
+    await settle()
+
+    ann.say({ text: '/ticket printer on fire' })
+    await settle()
+    await until(() => requests.length === 1)
+
+    assert.deepEqual(requests[0].json, {
+        room: 'Lobby',
+        command: 'ticket',
+        name: 'Ann',
+        args: ['printer', 'on', 'fire'],
+        text: 'printer on fire'
+    })
+    assert.equal(ann.inbox.at(-1).text, 'Sent to Tickets.')
+})
+
+test('incoming webhooks post to their room by token', async t => {
+    let { webhooks, rooms, settle } = hooked(t)
+    webhooks.incoming.set('tok', { token: 'tok', room: 'Lobby', name: 'CI' })
+    webhooks.incoming.set('gone', { token: 'gone', room: 'Attic', name: 'X' })
+
+    let server = express().use('/hooks', webhooks.router()).listen(0)
+    await once(server, 'listening')
+    t.after(() => server.close())
+    let base = `http://127.0.0.1:${server.address().port}/hooks/`
+    let post = (token, body) => fetch(base + token, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+    })
+
+    assert.equal((await post('wrong', { text: 'hi' })).status, 404)
+    assert.equal((await post('tok', { text: '  ' })).status, 400)
+    assert.equal((await post('gone', { text: 'hi' })).status, 404)
+
+    let res = await post('tok', { text: 'Build passed.' })
+    assert.equal(res.status, 202)
+    assert.deepEqual(await res.json(), { room: 'Lobby' })
+
+    await settle()
+    let last = rooms.getRoom('Lobby').history.at(-1)
+    assert.equal(last.name, 'CI')
+    assert.equal(last.text, 'Build passed.')
+})
@@ -0,0 +1,19 @@
+const { chatServer } = require('./helper.cjs')
+const test = require('node:test')
+const assert = require('node:assert/strict')
+
+test('messages which are not JSON objects arrive as text', async t => {
+    let { connect, settle, rooms } = chatServer(t)
+    let ann = connect({ name: 'Ann', sid: 'ann' })
+    await settle()
+
+    let sent = ['null', '[1,{"a":2}]', '"hi"', '5', 'true']
+    for (const json of sent)
+        ann.emit('message', Buffer.from(json))
+    await settle()
+
+    let texts = rooms.getRoom('Lobby').history.slice(-sent.length)
+        .map(r => r.text)
+    assert.deepEqual(texts, ['null', '[1,{"a":2}]', 'hi', '5', 'true'])
+    assert.equal(ann.inbox.filter(m => m.ok === false).length, 0)
+})
@@ -0,0 +1,238 @@
+const fs = require('node:fs')
+const crypto = require('node:crypto')
+const { setTimeout: sleep } = require('node:timers/promises')
+const express = require('express')
+const { Conveyor } = require('./conveyor.cjs')
+
+/**
+ * Connects bots and other services to the rooms over HTTP.
+ * Configured by a JSON file named in WEBHOOK_CONFIG:
+ *
+ * {
+ *   "outgoing": [
+ *     { "name": "Helpdesk", "url": "https://...", "secret": "...",
+ *       "pattern": { "room": "Lobby", "text": "/@helpdesk\\b/i" } },
+ *     { "name": "Tickets", "url": "https://...", "secret": "...",
+ *       "command": "ticket", "usage": "/ticket <summary>",
+ *       "description": "Open a helpdesk ticket." }
+ *   ],
+ *   "incoming": [
+ *     { "token": "...", "room": "Lobby", "name": "CI" }
+ *   ]
+ * }
+ *
+ * Outgoing webhooks receive each remembered message matching their
+ * pattern, as { room, message }. Patterns work as in Conveyor.use(),
+ * except that strings of the form "/expression/flags" are regular
+ * expressions, and null means the field must be absent, at any depth;
+ * e.g. { "room": ["Lobby", "Help"], "parent": null }. Webhooks without
+ * a pattern receive every remembered message, except those from bots.
+ * A webhook with a command instead defines that slash command in every
+ * room, and receives { room, command, name, args, text } when it is used.
+ *
+ * Deliveries are POSTed as JSON and retried with increasing delays.
+ * With a secret, each carries an X-Webhook-Signature of the form
+ * sha256=<hex HMAC of "<X-Webhook-Timestamp>.<body>">.
+ * A webhook may answer with { text } to post a reply under its name.
+ *
+ * Incoming webhooks accept { text } by POST to /hooks/<token>,
+ * and post it to their room under their name.
+ */
+class Webhooks {
+    file = process.env.WEBHOOK_CONFIG
+    outgoing = []
+    incoming = new Map() // token -> { token, room, name }
+    filters = new Conveyor()
+    rooms = null
+    maxAttempts = Number(process.env.WEBHOOK_MAX_ATTEMPTS || 5)
+    retryDelay = Number(process.env.WEBHOOK_RETRY_DELAY || 1000)
+    timeout = Number(process.env.WEBHOOK_TIMEOUT || 5000)
+
+    constructor (options = {}) {
+        Object.assign(this, options)
+        this.load()
+    }
+
+    load () {
+        if ( ! this.file )
+            return this
+
+        let config = JSON.parse(fs.readFileSync(this.file, 'utf8'))
+        for (const hook of config.outgoing ?? [])
+            this.addOutgoing(hook)
+        for (const hook of config.incoming ?? [])
+            this.incoming.set(hook.token, hook)
+
+        log(`Loaded ${this.outgoing.length} outgoing and `
+            + `${this.incoming.size} incoming webhook(s)`, green)
+        return this
+    }
+
+    addOutgoing (hook) {
+        this.outgoing.push(hook)
+        if (hook.command)
+            return
+
+        const forward = m => {
+            let { room, ...message } = m
+            this.deliver(hook, { room, message })
+        }
+        if (hook.pattern)
+            this.filters.use(parsePattern(hook.pattern), forward)
+        else
+            this.filters.use(forward)
+    }
+
+    // Define the webhooks' slash commands, and post their replies,
+    // in a ChannelRegistry.
+    attach (rooms) {
+        this.rooms = rooms
+        for (const hook of this.outgoing) {
+            if ( ! hook.command )
+                continue
+
+            const webhooks = this
+            rooms.defineCommand(hook.command, {
+                usage: hook.usage,
+                description: hook.description ?? `Send to ${hook.name}.`
+            }, function (m) {
+                webhooks.deliver(hook, {
+                    room: this.channel.name,
+                    command: m._command,
+                    name: this.channel.getUser({ socketId: m._sender })?.name,
+                    args: m._args,
+                    text: m._argText
+                })
+                this.reply(m, `Sent to ${hook.name}.`)
+            })
+        }
+        return this
+    }
+
+    // Called by a channel for each message it remembers.
+    // Messages from bots are not sent out, so that bots cannot answer
+    // each other in a loop. Only the server marks them, as _bot, since
+    // clients may not send fields beginning with _.
+    notify (channel, m) {
+        if (this.outgoing.length === 0 || m._bot)
+            return
+        this.filters.process({ ...m, room: channel.name })
+            .catch(er => log.err('Webhook filter failed: ', er.message))
+    }
+
+    async deliver (hook, payload) {
+        let body = JSON.stringify(payload)
+        let headers = {
+            'Content-Type': 'application/json',
+            'X-Webhook-Delivery': crypto.randomUUID()
+        }
+        if (hook.secret) {
+            let timestamp = String(Date.now())
+            headers['X-Webhook-Timestamp'] = timestamp
+            headers['X-Webhook-Signature'] = 'sha256='
+                + sign(hook.secret, `${timestamp}.${body}`)
+        }
+
+        for (let attempt = 1; ; attempt++) {
+            let failure
+            try {
+                let res = await fetch(hook.url, {
+                    method: 'POST',
+                    headers,
+                    body,
+                    signal: AbortSignal.timeout(this.timeout)
+                })
+                if (res.ok)
+                    return this.answer(hook, payload.room, res)
+
+                failure = `status ${res.status}`
+                // Only server errors and throttling are worth retrying.
+                if (res.status < 500 && res.status !== 429)
+                    attempt = this.maxAttempts
+            } catch (er) {
+                failure = er.message
+            }
+
+            if (attempt >= this.maxAttempts) {
+                log.err(`Webhook ${hook.name} failed after ${attempt} `
+                    + `attempt(s): ${failure}`)
+                return
+            }
+
+            await sleep(this.retryDelay * 2 ** (attempt - 1))
+        }
+    }
+
+    // Post a webhook's reply, if it gave one.
+    async answer (hook, roomName, res) {
+        if ( ! res.headers.get('content-type')?.includes('json') )
+            return
+
+        try {
+            let { text } = await res.json()
+            if (typeof text === 'string' && text.trim() !== '')
+                this.post(roomName, hook.name, text)
+        } catch (er) {
+            log.err(`Unreadable reply from webhook ${hook.name}`)
+        }
+    }
+
+    post (roomName, name, text) {
+        let room = this.rooms?.getRoom(roomName)
+        if ( ! room )
+            return false
+
+        room.receive({ name, _bot: true, text, _remember: true })
+        return true
+    }
+
+    // Routes for incoming webhooks, to be mounted by the server.
+    router () {
+        return express.Router()
+            .post('/:token', express.json(), (req, res) => {
+                let hook = this.incoming.get(req.params.token)
+                if ( ! hook )
+                    return res.status(404).json({ error: 'Unknown webhook.' })
+
+                let text = req.body?.text
+                if (typeof text !== 'string' || text.trim() === '')
+                    return res.status(400).json({ error: 'Text required.' })
+
+                if ( ! this.post(hook.room, hook.name, text) )
+                    return res.status(404).json({ error: 'Room not found.' })
+
+                log(`Incoming webhook posted to ${hook.room} `
+                    + `as ${hook.name}`, blue)
+                res.status(202).json({ room: hook.room })
+            })
+    }
+}
+
+function sign (secret, data) {
+    return crypto.createHmac('sha256', secret).update(data).digest('hex')
+}
+
+// Convert a pattern from JSON into the form expected by Conveyor.use(),
+// including any nested patterns, alternatives and operands.
+function parsePattern (pattern) {
+    let parsed = {}
+    for (const [key, value] of Object.entries(pattern))
+        parsed[key] = key === '$eq' ? value : parseValue(value)
+    return parsed
+}
+
+function parseValue (value) {
+    let expression = typeof value === 'string'
+        && /^\/(.+)\/([a-z]*)$/.exec(value)
+    if (expression)
+        return new RegExp(expression[1], expression[2])
+    if (value === null)
+        return undefined
+    if (Array.isArray(value))
+        return value.map(parseValue)
+    if (typeof value === 'object')
+        return parsePattern(value)
+    return value
+}
+
+module.exports = { Webhooks }